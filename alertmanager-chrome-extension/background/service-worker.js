@@ -1,7 +1,32 @@
-importScripts('../lib/storage.js', '../lib/alertmanager-api.js', '../lib/utils.js');
+importScripts('../lib/storage.js', '../lib/alertmanager-api.js', '../lib/utils.js', '../lib/history.js');
 
 const ALARM_NAME = 'alertmanager-poll';
 const NOTIFICATION_ID_PREFIX = 'am-alert-';
+const RESULT_NOTIFICATION_PREFIX = 'am-result-';
+const EXPIRY_NOTIFICATION_PREFIX = 'am-expiry-';
+// Buttons of silence expiry reminders, in order
+const EXPIRY_EXTENSIONS = ['1h', '1d'];
+const DEFAULT_TITLE = 'Alertmanager Monitor';
+const BUTTON_SILENCE = 0;
+const BUTTON_ACKNOWLEDGE = 1;
+// Used when no notification rule matches; keeps the default Chrome sound
+const DEFAULT_NOTIFICATION_ACTION = 'notify_sound';
+const OFFSCREEN_DOCUMENT = 'offscreen/offscreen.html';
+const MAINTENANCE_ALARM_PREFIX = 'maintenance:';
+// Silences for maintenance windows are created this long before they start
+const MAINTENANCE_LEAD_MINUTES = 15;
+const MAINTENANCE_RETRY_MINUTES = 5;
+const MAINTENANCE_HISTORY_LIMIT = 10;
+const SOUNDS = {
+  critical: 'sounds/critical.wav',
+  warning: 'sounds/warning.wav',
+  info: 'sounds/info.wav',
+};
+
+// Settings whose change warrants an immediate re-poll
+const POLL_SETTINGS = ['instances', 'defaultFilter', 'enableBadge', 'enableNotifications', 'notificationRules'];
+
+let creatingOffscreen = null;
 
 async function updateBadge(alerts, enabled) {
   if (!enabled) {
@@ -18,13 +43,173 @@ async function updateBadge(alerts, enabled) {
   await chrome.action.setBadgeTextColor({ color: '#FFFFFF' });
 }
 
-async function pollAlerts() {
-  const instance = await Storage.getActiveInstance();
-  if (!instance) {
-    await chrome.action.setBadgeText({ text: '' });
-    return;
+/**
+ * Drop alerts the user has acknowledged or snoozed locally.
+ * @param {Array} alerts
+ * @param {Object} acks - Storage.getAlertAcks result
+ * @returns {Array}
+ */
+function withoutAcknowledged(alerts, acks) {
+  return alerts.filter((a) => !Utils.isAckActive(acks[a.fingerprint]));
+}
+
+/**
+ * Resolve what the notification rules say to do with an alert.
+ * @param {Object} instance
+ * @param {Object} alert
+ * @param {Object} settings
+ * @returns {'notify'|'notify_sound'|'badge_only'|'ignore'}
+ */
+function notificationAction(instance, alert, settings) {
+  const rule = Utils.findNotificationRule(settings.notificationRules, instance.id, alert.labels);
+  return rule ? rule.action : DEFAULT_NOTIFICATION_ACTION;
+}
+
+/**
+ * Check whether an alert should produce a notification right now, taking
+ * notification rules and quiet hours into account.
+ * @param {Object} instance
+ * @param {Object} alert
+ * @param {Object} settings
+ * @param {string|null} quietReason - from Utils.getQuietReason
+ * @returns {boolean}
+ */
+function shouldNotify(instance, alert, settings, quietReason) {
+  const action = notificationAction(instance, alert, settings);
+  if (action !== 'notify' && action !== 'notify_sound') return false;
+  return !quietReason || Utils.isQuietOverride(settings, alert.labels);
+}
+
+/**
+ * Alerts that count towards the badge: not acknowledged and not ignored by a rule.
+ * @param {Object} instance
+ * @param {Array} alerts
+ * @param {Object} acks
+ * @param {Object} settings
+ * @returns {Array}
+ */
+function badgeAlerts(instance, alerts, acks, settings) {
+  return withoutAcknowledged(alerts, acks).filter((a) => notificationAction(instance, a, settings) !== 'ignore');
+}
+
+/**
+ * Recompute the badge from cached alerts, e.g. after an acknowledgement.
+ */
+async function refreshBadgeFromCache() {
+  const settings = await Storage.getSettings();
+  const alerts = [];
+  for (const instance of settings.instances.filter((i) => i.monitor !== false)) {
+    const cached = await Storage.getCachedAlerts(instance.id);
+    if (cached) alerts.push(...badgeAlerts(instance, cached.alerts, await Storage.getAlertAcks(instance.id), settings));
+  }
+  await updateBadge(alerts, settings.enableBadge);
+  await syncAlarmSounds(settings);
+}
+
+/**
+ * Open the offscreen document used for audio, unless it is already open.
+ * @returns {Promise<void>}
+ */
+async function ensureOffscreenDocument() {
+  // Chrome closes idle audio documents itself, so check every time
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (contexts.length > 0) return;
+
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_DOCUMENT,
+        reasons: ['AUDIO_PLAYBACK'],
+        justification: 'Play alert sounds',
+      })
+      .finally(() => { creatingOffscreen = null; });
+  }
+  await creatingOffscreen;
+}
+
+/**
+ * Play the tone for a severity.
+ * @param {string} key - identifies the sound so a loop can be stopped later
+ * @param {string} severity
+ * @param {number} volume - 0–100
+ * @param {boolean} [loop=false]
+ * @returns {Promise<void>}
+ */
+async function playSound(key, severity, volume, loop = false) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    action: 'play',
+    key,
+    src: SOUNDS[severity] || SOUNDS.info,
+    volume: volume / 100,
+    loop,
+  });
+  if (!response?.success) throw new Error(response?.error || 'The sound player did not respond');
+}
+
+/**
+ * Stop looping alarms for alerts that were acknowledged, silenced or resolved.
+ * @param {Object} settings
+ * @returns {Promise<void>}
+ */
+async function syncAlarmSounds(settings) {
+  const keys = [];
+  for (const instance of settings.instances) {
+    const cached = await Storage.getCachedAlerts(instance.id);
+    if (!cached) continue;
+    withoutAcknowledged(cached.alerts, await Storage.getAlertAcks(instance.id))
+      .filter((a) => a.status?.state === 'active')
+      .forEach((a) => keys.push(notificationId(instance.id, a.fingerprint)));
+  }
+
+  // Fails harmlessly when the offscreen document is not open
+  await chrome.runtime.sendMessage({ target: 'offscreen', action: 'keepLooping', keys }).catch(() => {});
+}
+
+async function setErrorBadge() {
+  await chrome.action.setBadgeText({ text: '!' });
+  await chrome.action.setBadgeBackgroundColor({ color: '#6b7280' });
+  await chrome.action.setBadgeTextColor({ color: '#FFFFFF' });
+}
+
+async function pollInstance(instance, settings) {
+  AlertmanagerAPI.setPreferredUrl(instance, await Storage.getLastGoodPeer(instance.id));
+  // History needs every alert: one hidden by the default filter, e.g. once
+  // silenced, has not resolved. The filter only applies to badge and notifications.
+  const allAlerts = await AlertmanagerAPI.getAlerts(instance);
+  const alerts = Utils.filterByState(allAlerts, settings.defaultFilter);
+  await Storage.cacheAlerts(instance.id, alerts);
+  await Storage.setLastGoodPeer(instance.id, AlertmanagerAPI.getAnsweringUrl(instance));
+  await Storage.pruneAlertAcks(instance.id, alerts.map((a) => a.fingerprint));
+  const acks = await Storage.getAlertAcks(instance.id);
+
+  try {
+    await AlertHistory.recordSnapshot(instance, allAlerts);
+  } catch (err) {
+    console.error(`[Alertmanager Monitor] History update failed for ${instance.name}:`, err.message);
+  }
+
+  if (settings.enableNotifications) {
+    try {
+      await checkForNewAlerts(instance, alerts, acks, settings);
+    } catch (err) {
+      console.error(`[Alertmanager Monitor] Notification check failed for ${instance.name}:`, err.message);
+    }
+  }
+
+  try {
+    const silences = await AlertmanagerAPI.getSilences(instance);
+    await Storage.cacheSilences(instance.id, silences);
+    if (settings.enableNotifications) await checkExpiringSilences(instance, silences, settings);
+  } catch (err) {
+    console.error(`[Alertmanager Monitor] Silences fetch failed for ${instance.name}:`, err.message);
   }
 
+  return badgeAlerts(instance, alerts, acks, settings);
+}
+
+async function pollAlerts() {
   let settings;
   try {
     settings = await Storage.getSettings();
@@ -33,75 +218,289 @@ async function pollAlerts() {
     return;
   }
 
-  let alerts;
+  const instances = settings.instances.filter((i) => i.monitor !== false);
   try {
-    alerts = await AlertmanagerAPI.getAlerts(instance, settings.defaultFilter);
-    await Storage.cacheAlerts(instance.id, alerts);
+    await AlertHistory.closeUnpolled(instances.map((i) => i.id));
   } catch (err) {
-    console.error('[Alertmanager Monitor] Poll failed:', err.message);
-    await chrome.action.setBadgeText({ text: '!' });
-    await chrome.action.setBadgeBackgroundColor({ color: '#6b7280' });
-    await chrome.action.setBadgeTextColor({ color: '#FFFFFF' });
+    console.error('[Alertmanager Monitor] History update failed:', err.message);
+  }
+
+  if (instances.length === 0) {
+    await chrome.action.setBadgeText({ text: '' });
+    await chrome.action.setTitle({ title: DEFAULT_TITLE });
+    return;
+  }
+
+  const results = await Promise.allSettled(instances.map((instance) => pollInstance(instance, settings)));
+
+  const alerts = [];
+  const failed = [];
+  results.forEach((result, idx) => {
+    if (result.status === 'fulfilled') {
+      alerts.push(...result.value);
+    } else {
+      failed.push(instances[idx].name);
+      console.error(`[Alertmanager Monitor] Poll failed for ${instances[idx].name}:`, result.reason?.message);
+    }
+  });
+
+  await chrome.action.setTitle({
+    title: failed.length > 0 ? `${DEFAULT_TITLE} — unreachable: ${failed.join(', ')}` : DEFAULT_TITLE,
+  });
+
+  if (failed.length === instances.length) {
+    await setErrorBadge();
     return;
   }
 
   try {
     await updateBadge(alerts, settings.enableBadge);
+    await syncAlarmSounds(settings);
   } catch (err) {
     console.error('[Alertmanager Monitor] Badge update failed:', err.message);
   }
 
-  if (settings.enableNotifications) {
-    try {
-      await checkForNewAlerts(instance.id, alerts);
-    } catch (err) {
-      console.error('[Alertmanager Monitor] Notification check failed:', err.message);
+  try {
+    await AlertHistory.prune(settings.historyRetentionDays);
+  } catch (err) {
+    console.error('[Alertmanager Monitor] History prune failed:', err.message);
+  }
+}
+
+function notificationId(instanceId, key, prefix = NOTIFICATION_ID_PREFIX) {
+  return `${prefix}${instanceId}:${key}`;
+}
+
+/**
+ * Split a notification ID created by notificationId().
+ * @param {string} id
+ * @param {string} [prefix] - prefix it was created with
+ * @returns {{instanceId: string, key: string}|null}
+ */
+function parseNotificationId(id, prefix = NOTIFICATION_ID_PREFIX) {
+  if (!id.startsWith(prefix)) return null;
+  const rest = id.slice(prefix.length);
+  const sep = rest.indexOf(':');
+  if (sep === -1) return null;
+  return { instanceId: rest.slice(0, sep), key: rest.slice(sep + 1) };
+}
+
+/**
+ * Show a notification for a single alert, with Silence and Acknowledge
+ * buttons. Repeats escalate priority and stay on screen until dismissed.
+ * @param {Object} instance
+ * @param {Object} alert
+ * @param {Object} settings
+ * @param {number} [repeat=0] - how many times it has been re-notified
+ */
+async function showAlertNotification(instance, alert, settings, repeat = 0) {
+  const severity = alert.labels?.severity || 'unknown';
+  const alertname = alert.labels?.alertname || 'Alert';
+  const summary = alert.annotations?.summary || 'New alert fired';
+  // Leaves headroom below Chrome's maximum of 2, so critical repeats escalate too
+  const basePriority = severity.toLowerCase() === 'critical' ? 1 : 0;
+  const id = notificationId(instance.id, alert.fingerprint);
+  const action = notificationAction(instance, alert, settings);
+
+  // Clearing first makes Chrome show a repeat again instead of silently updating it
+  if (repeat > 0) await chrome.notifications.clear(id);
+
+  chrome.notifications.create(id, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: `[${severity.toUpperCase()}] ${alertname}` + (repeat > 0 ? ` — still firing (×${repeat + 1})` : ''),
+    message: summary,
+    contextMessage: instance.name,
+    priority: Math.min(2, basePriority + repeat),
+    requireInteraction: repeat > 0,
+    // The extension's own tone replaces Chrome's sound when enabled
+    silent: action === 'notify' || settings.sound.enabled,
+    // Chrome allows two buttons; clicking the notification body opens the alert
+    buttons: [{ title: `Silence ${settings.notificationSilenceDuration}` }, { title: 'Acknowledge' }],
+  });
+
+  if (action === 'notify_sound' && settings.sound.enabled) {
+    const level = severity.toLowerCase();
+    const loop = level === 'critical' && settings.sound.loopCritical;
+    // One-shot tones share a key per severity so a burst of alerts doesn't stack up
+    playSound(loop ? id : `tone:${level}`, level, settings.sound.volume, loop).catch((err) => {
+      console.error('[Alertmanager Monitor] Failed to play alert sound:', err.message);
+    });
+  }
+}
+
+function showResultNotification(title, message) {
+  chrome.notifications.create(`${RESULT_NOTIFICATION_PREFIX}${Date.now()}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title,
+    message,
+    priority: 0,
+  });
+}
+
+/**
+ * Look up the instance and cached alert a notification refers to.
+ * @param {{instanceId: string, key: string}} parsed
+ * @returns {Promise<{instance: Object|null, alert: Object|null}>}
+ */
+async function findNotificationAlert(parsed) {
+  const instances = await Storage.getInstances();
+  const instance = instances.find((i) => i.id === parsed.instanceId) || null;
+  const cached = await Storage.getCachedAlerts(parsed.instanceId);
+  const alert = cached?.alerts.find((a) => a.fingerprint === parsed.key) || null;
+  return { instance, alert };
+}
+
+/**
+ * Silence an alert on its exact labels from a notification's Silence button,
+ * for the configured notification silence duration.
+ * @param {Object} instance
+ * @param {Object} alert
+ * @param {Object} settings
+ */
+async function silenceFromNotification(instance, alert, settings) {
+  const alertname = alert.labels?.alertname || 'Alert';
+  const duration = Utils.parseDuration(settings.notificationSilenceDuration) || 60 * 60 * 1000;
+  const now = Date.now();
+
+  try {
+    AlertmanagerAPI.setPreferredUrl(instance, await Storage.getLastGoodPeer(instance.id));
+    await AlertmanagerAPI.createSilence(instance, {
+      matchers: Object.entries(alert.labels || {}).map(([name, value]) => ({ name, value, isRegex: false, isEqual: true })),
+      startsAt: new Date(now).toISOString(),
+      endsAt: new Date(now + duration).toISOString(),
+      createdBy: settings.silenceCreatedBy || DEFAULT_TITLE,
+      comment: 'Silenced from desktop notification',
+    });
+    showResultNotification(`Silenced ${alertname}`, `Silenced on ${instance.name} for ${Utils.formatDuration(duration)}`);
+    await pollAlerts();
+  } catch (err) {
+    showResultNotification(`Failed to silence ${alertname}`, err.message);
+  }
+}
+
+/**
+ * Remind the user about their own silences that are about to expire, once
+ * per silence end time, so extending a silence re-arms its reminder.
+ * @param {Object} instance
+ * @param {Array} silences
+ * @param {Object} settings
+ */
+async function checkExpiringSilences(instance, silences, settings) {
+  const createdBy = settings.silenceCreatedBy?.trim();
+  if (!createdBy || !settings.silenceExpiryMinutes) return;
+
+  const reminded = await Storage.getExpiryReminders(instance.id);
+  const next = {};
+  for (const silence of silences) {
+    if (silence.status?.state !== 'active' || silence.createdBy !== createdBy) continue;
+    if (reminded[silence.id] === silence.endsAt) {
+      next[silence.id] = silence.endsAt;
+      continue;
     }
+    if (!Utils.isSilenceExpiringSoon(silence, settings.silenceExpiryMinutes)) continue;
+
+    const remaining = Math.ceil((new Date(silence.endsAt).getTime() - Date.now()) / 60000) * 60000;
+    chrome.notifications.create(notificationId(instance.id, silence.id, EXPIRY_NOTIFICATION_PREFIX), {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title: `Silence expires in ${Utils.formatDuration(remaining)}`,
+      message: silence.comment || (silence.matchers || []).map((m) => Utils.formatMatcher(m)).join(', '),
+      contextMessage: instance.name,
+      priority: 1,
+      requireInteraction: true,
+      buttons: EXPIRY_EXTENSIONS.map((duration) => ({ title: `Extend ${duration}` })),
+    });
+    next[silence.id] = silence.endsAt;
+  }
+  await Storage.setExpiryReminders(instance.id, next);
+}
+
+/**
+ * Extend a silence from its expiry reminder.
+ * @param {{instanceId: string, key: string}} parsed - key is the silence ID
+ * @param {string} duration
+ */
+async function extendFromNotification(parsed, duration) {
+  const instances = await Storage.getInstances();
+  const instance = instances.find((i) => i.id === parsed.instanceId);
+  const cached = await Storage.getCachedSilences(parsed.instanceId);
+  const silence = cached?.silences.find((s) => s.id === parsed.key);
+  if (!instance || !silence) {
+    showResultNotification(DEFAULT_TITLE, 'The silence is no longer known — it may have been expired.');
+    return;
   }
 
   try {
-    const silences = await AlertmanagerAPI.getSilences(instance);
-    await Storage.cacheSilences(instance.id, silences);
+    AlertmanagerAPI.setPreferredUrl(instance, await Storage.getLastGoodPeer(instance.id));
+    await AlertmanagerAPI.extendSilence(instance, silence, Utils.parseDuration(duration));
+    showResultNotification(`Extended silence by ${duration}`, silence.comment || `On ${instance.name}`);
+    await pollAlerts();
   } catch (err) {
-    console.error('[Alertmanager Monitor] Silences fetch failed:', err.message);
+    showResultNotification('Failed to extend silence', err.message);
   }
 }
 
-async function checkForNewAlerts(instanceId, alerts) {
-  const knownFingerprints = await Storage.getKnownFingerprints(instanceId);
+async function checkForNewAlerts(instance, alerts, acks, settings) {
+  const knownFingerprints = await Storage.getKnownFingerprints(instance.id);
   const currentFingerprints = alerts.map((a) => a.fingerprint);
+  // Alerts held back by quiet hours are still marked as known, so they don't all fire at once later
+  const quietReason = Utils.getQuietReason(settings);
 
-  const newAlerts = alerts.filter(
-    (a) => a.status?.state === 'active' && !knownFingerprints.includes(a.fingerprint)
+  const newAlerts = withoutAcknowledged(alerts, acks).filter(
+    (a) => a.status?.state === 'active' && !knownFingerprints.includes(a.fingerprint) && shouldNotify(instance, a, settings, quietReason)
   );
 
   if (newAlerts.length > 0 && knownFingerprints.length > 0) {
     for (const alert of newAlerts.slice(0, 5)) {
-      const severity = alert.labels?.severity || 'unknown';
-      const alertname = alert.labels?.alertname || 'Alert';
-      const summary = alert.annotations?.summary || 'New alert fired';
-
-      chrome.notifications.create(`${NOTIFICATION_ID_PREFIX}${alert.fingerprint}`, {
-        type: 'basic',
-        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
-        title: `[${severity.toUpperCase()}] ${alertname}`,
-        message: summary,
-        priority: severity === 'critical' ? 2 : 1,
-      });
+      await showAlertNotification(instance, alert, settings);
     }
 
     if (newAlerts.length > 5) {
-      chrome.notifications.create(`${NOTIFICATION_ID_PREFIX}batch`, {
+      chrome.notifications.create(notificationId(instance.id, 'batch'), {
         type: 'basic',
         iconUrl: chrome.runtime.getURL('icons/icon128.png'),
         title: 'Alertmanager Monitor',
         message: `${newAlerts.length} new alerts detected`,
+        contextMessage: instance.name,
         priority: 1,
       });
     }
   }
 
-  await Storage.setKnownFingerprints(instanceId, currentFingerprints);
+  await Storage.setKnownFingerprints(instance.id, currentFingerprints);
+  await checkRenotify(instance, withoutAcknowledged(alerts, acks), settings);
+}
+
+/**
+ * Repeat notifications for alerts that keep firing, using the per-severity
+ * interval. Callers pass only unacknowledged alerts; silenced, inhibited,
+ * resolved or acknowledged alerts drop out of the bookkeeping.
+ */
+async function checkRenotify(instance, alerts, settings) {
+  const now = Date.now();
+  const previous = await Storage.getNotifyState(instance.id);
+  const next = {};
+  const quietReason = Utils.getQuietReason(settings);
+
+  for (const alert of alerts) {
+    if (alert.status?.state !== 'active' || !shouldNotify(instance, alert, settings, quietReason)) continue;
+
+    const severity = alert.labels?.severity?.toLowerCase();
+    const intervalMinutes = settings.renotifyMinutes?.[severity] || 0;
+    if (!intervalMinutes) continue;
+
+    const entry = previous[alert.fingerprint] || { lastAt: now, count: 0 };
+    if (now - entry.lastAt >= intervalMinutes * 60 * 1000) {
+      entry.count++;
+      entry.lastAt = now;
+      await showAlertNotification(instance, alert, settings, entry.count);
+    }
+    next[alert.fingerprint] = entry;
+  }
+
+  await Storage.setNotifyState(instance.id, next);
 }
 
 async function setupAlarm() {
@@ -115,34 +514,266 @@ async function setupAlarm() {
   });
 }
 
+/**
+ * Get the occurrence of a maintenance window that still needs a silence:
+ * the current or next one, skipping one whose silence was already created.
+ * @param {Object} maintenance - MaintenanceWindow
+ * @param {Object} [state] - MaintenanceState of the window
+ * @returns {{startsAt: number, endsAt: number}|null}
+ */
+function pendingMaintenance(maintenance, state) {
+  let occurrence = Utils.nextWeeklyWindow(maintenance);
+  if (occurrence && state?.silences.some((s) => s.startsAt === occurrence.startsAt)) {
+    occurrence = Utils.nextWeeklyWindow(maintenance, occurrence.endsAt);
+  }
+  return occurrence;
+}
+
+/**
+ * Schedule an alarm per enabled maintenance window, shortly before its next
+ * occurrence. Alarms of removed or disabled windows are cleared. Existing
+ * alarms are kept unless their window is listed, so a pending retry doesn't
+ * turn into an immediate run.
+ * @param {string[]} [rescheduleIds] - windows whose alarm is recomputed
+ */
+async function setupMaintenanceAlarms(rescheduleIds = []) {
+  const settings = await Storage.getSettings();
+  const state = await Storage.getMaintenanceState();
+  const windows = settings.maintenanceWindows.filter((w) => w.enabled);
+
+  const scheduled = new Set();
+  const alarms = await chrome.alarms.getAll();
+  for (const alarm of alarms) {
+    if (!alarm.name.startsWith(MAINTENANCE_ALARM_PREFIX)) continue;
+    if (windows.some((w) => alarm.name === MAINTENANCE_ALARM_PREFIX + w.id)) {
+      scheduled.add(alarm.name.slice(MAINTENANCE_ALARM_PREFIX.length));
+    } else {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+
+  for (const maintenance of windows) {
+    if (scheduled.has(maintenance.id) && !rescheduleIds.includes(maintenance.id)) continue;
+    const occurrence = pendingMaintenance(maintenance, state[maintenance.id]);
+    if (!occurrence) continue;
+    await chrome.alarms.create(MAINTENANCE_ALARM_PREFIX + maintenance.id, {
+      when: Math.max(Date.now(), occurrence.startsAt - MAINTENANCE_LEAD_MINUTES * 60 * 1000),
+    });
+  }
+}
+
+async function recordMaintenance(windowId, update) {
+  const state = await Storage.getMaintenanceState();
+  const entry = state[windowId] || { silences: [], error: null, errorAt: null };
+  state[windowId] = update(entry);
+  await Storage.setMaintenanceState(state);
+}
+
+/**
+ * Create the silence for a maintenance window's upcoming occurrence. On
+ * failure the user is notified and the attempt is retried shortly, until the
+ * window is over.
+ * @param {string} windowId
+ */
+async function runMaintenance(windowId) {
+  const settings = await Storage.getSettings();
+  const maintenance = settings.maintenanceWindows.find((w) => w.id === windowId);
+  if (!maintenance?.enabled) return;
+
+  const state = await Storage.getMaintenanceState();
+  const occurrence = pendingMaintenance(maintenance, state[windowId]);
+  if (!occurrence) return;
+  // Woken up early, e.g. after the window was edited; the alarm is rescheduled below
+  if (occurrence.startsAt - Date.now() > MAINTENANCE_LEAD_MINUTES * 60 * 1000) {
+    await setupMaintenanceAlarms([windowId]);
+    return;
+  }
+
+  try {
+    const instance = settings.instances.find((i) => i.id === maintenance.instanceId);
+    if (!instance) throw new Error('The instance of this window no longer exists');
+    AlertmanagerAPI.setPreferredUrl(instance, await Storage.getLastGoodPeer(instance.id));
+    const silenceId = await AlertmanagerAPI.createSilence(instance, {
+      matchers: Utils.parseMatchers(maintenance.matchers),
+      startsAt: new Date(Math.max(Date.now(), occurrence.startsAt)).toISOString(),
+      endsAt: new Date(occurrence.endsAt).toISOString(),
+      createdBy: settings.silenceCreatedBy || DEFAULT_TITLE,
+      comment: maintenance.comment || `Maintenance window: ${maintenance.name}`,
+    });
+
+    await recordMaintenance(windowId, (entry) => ({
+      silences: [{ silenceId, instanceId: instance.id, ...occurrence }, ...entry.silences].slice(0, MAINTENANCE_HISTORY_LIMIT),
+      error: null,
+      errorAt: null,
+    }));
+    await setupMaintenanceAlarms([windowId]);
+  } catch (err) {
+    console.error(`[Alertmanager Monitor] Maintenance silence for "${maintenance.name}" failed:`, err.message);
+    await recordMaintenance(windowId, (entry) => ({ ...entry, error: err.message, errorAt: Date.now() }));
+    showResultNotification(`Maintenance silence failed: ${maintenance.name}`, err.message);
+    if (Date.now() + MAINTENANCE_RETRY_MINUTES * 60 * 1000 < occurrence.endsAt) {
+      await chrome.alarms.create(MAINTENANCE_ALARM_PREFIX + windowId, { delayInMinutes: MAINTENANCE_RETRY_MINUTES });
+    }
+  }
+}
+
 chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === ALARM_NAME) {
     pollAlerts();
+  } else if (alarm.name.startsWith(MAINTENANCE_ALARM_PREFIX)) {
+    runMaintenance(alarm.name.slice(MAINTENANCE_ALARM_PREFIX.length));
   }
 });
 
 chrome.runtime.onInstalled.addListener(() => {
   setupAlarm();
+  setupMaintenanceAlarms();
   pollAlerts();
 });
 
 chrome.runtime.onStartup.addListener(() => {
   setupAlarm();
+  setupMaintenanceAlarms();
   pollAlerts();
 });
 
+/**
+ * Names of the settings touched by a sync storage change. The user-built lists
+ * are items of their own; everything else is compared inside `settings`.
+ * @param {Object} changes - chrome.storage.onChanged changes
+ * @returns {Set<string>}
+ */
+function changedSettings(changes) {
+  const changed = new Set(Object.keys(changes).filter((key) => key !== 'settings'));
+  if (changes.settings) {
+    const { oldValue = {}, newValue = {} } = changes.settings;
+    new Set([...Object.keys(oldValue), ...Object.keys(newValue)]).forEach((key) => {
+      if (JSON.stringify(oldValue[key]) !== JSON.stringify(newValue[key])) changed.add(key);
+    });
+  }
+  return changed;
+}
+
+/**
+ * IDs of the maintenance windows added, edited or removed by a sync storage change.
+ * @param {Object} changes - chrome.storage.onChanged changes
+ * @returns {{edited: string[], removed: string[]}}
+ */
+function changedMaintenanceWindows(changes) {
+  if (!changes.maintenanceWindows) return { edited: [], removed: [] };
+  // Before moving to an item of its own, the list was part of `settings`
+  const before = changes.maintenanceWindows.oldValue ?? changes.settings?.oldValue?.maintenanceWindows ?? [];
+  const after = changes.maintenanceWindows.newValue ?? [];
+  return {
+    edited: after
+      .filter((w) => JSON.stringify(w) !== JSON.stringify(before.find((b) => b.id === w.id)))
+      .map((w) => w.id),
+    removed: before.filter((b) => !after.some((w) => w.id === b.id)).map((b) => b.id),
+  };
+}
+
+/**
+ * Expire the silences maintenance windows created for occurrences that have
+ * not ended yet, and forget them so an edited window gets a fresh silence.
+ * @param {string[]} windowIds
+ */
+async function expireMaintenanceSilences(windowIds) {
+  const settings = await Storage.getSettings();
+  const state = await Storage.getMaintenanceState();
+
+  for (const windowId of windowIds.filter((id) => state[id])) {
+    const current = state[windowId].silences.filter((s) => s.endsAt > Date.now());
+    for (const silence of current) {
+      const instance = settings.instances.find((i) => i.id === silence.instanceId);
+      if (!instance) continue;
+      try {
+        AlertmanagerAPI.setPreferredUrl(instance, await Storage.getLastGoodPeer(instance.id));
+        await AlertmanagerAPI.expireSilence(instance, silence.silenceId);
+      } catch (err) {
+        console.error(`[Alertmanager Monitor] Failed to expire maintenance silence ${silence.silenceId}:`, err.message);
+      }
+    }
+    const expired = new Set(current.map((s) => s.silenceId));
+    await recordMaintenance(windowId, (entry) => ({ ...entry, silences: entry.silences.filter((s) => !expired.has(s.silenceId)) }));
+  }
+}
+
+/**
+ * Bring maintenance silences and alarms in line with edited windows.
+ * @param {Object} changes - chrome.storage.onChanged changes
+ */
+async function updateMaintenanceWindows(changes) {
+  const { edited, removed } = changedMaintenanceWindows(changes);
+  // Before rescheduling: a recorded silence makes its occurrence count as done
+  await expireMaintenanceSilences([...edited, ...removed]);
+  if (removed.length > 0) {
+    const state = await Storage.getMaintenanceState();
+    removed.forEach((id) => delete state[id]);
+    await Storage.setMaintenanceState(state);
+  }
+  await setupMaintenanceAlarms(edited);
+}
+
 chrome.storage.onChanged.addListener((changes, area) => {
-  if (area === 'sync' && changes.settings) {
-    setupAlarm();
-    pollAlerts();
+  if (area !== 'sync') return;
+
+  // Popup state (selected instance, saved views, ...) is also kept in sync
+  // storage; only react to the settings that affect polling
+  const changed = changedSettings(changes);
+  if (changed.has('pollInterval')) setupAlarm();
+  if (changed.has('maintenanceWindows')) updateMaintenanceWindows(changes);
+  if (POLL_SETTINGS.some((key) => changed.has(key))) pollAlerts();
+});
+
+chrome.notifications.onClicked.addListener(async (id) => {
+  if (id.startsWith(EXPIRY_NOTIFICATION_PREFIX)) {
+    chrome.notifications.clear(id);
+    chrome.action.openPopup?.();
+    return;
   }
+
+  const parsed = parseNotificationId(id);
+  if (!parsed) return;
+  chrome.notifications.clear(id);
+
+  // Open the runbook or the alert's source when there is one, else the popup
+  const { alert } = parsed.key === 'batch' ? {} : await findNotificationAlert(parsed);
+  const url = alert?.annotations?.runbook_url || alert?.annotations?.runbook || alert?.generatorURL;
+  if (url && /^https?:\/\//.test(url)) {
+    chrome.tabs.create({ url });
+    return;
+  }
+
+  chrome.action.openPopup?.() || chrome.windows.getCurrent((w) => {
+    chrome.action.setPopup({ popup: 'popup/popup.html' });
+  });
 });
 
-chrome.notifications.onClicked.addListener((notificationId) => {
-  if (notificationId.startsWith(NOTIFICATION_ID_PREFIX)) {
-    chrome.action.openPopup?.() || chrome.windows.getCurrent((w) => {
-      chrome.action.setPopup({ popup: 'popup/popup.html' });
-    });
+chrome.notifications.onButtonClicked.addListener(async (id, buttonIndex) => {
+  const expiry = parseNotificationId(id, EXPIRY_NOTIFICATION_PREFIX);
+  if (expiry) {
+    chrome.notifications.clear(id);
+    if (EXPIRY_EXTENSIONS[buttonIndex]) await extendFromNotification(expiry, EXPIRY_EXTENSIONS[buttonIndex]);
+    return;
+  }
+
+  const parsed = parseNotificationId(id);
+  if (!parsed || parsed.key === 'batch') return;
+  chrome.notifications.clear(id);
+
+  const { instance, alert } = await findNotificationAlert(parsed);
+  if (!instance || !alert) {
+    showResultNotification(DEFAULT_TITLE, 'The alert is no longer known — it may have resolved.');
+    return;
+  }
+
+  const alertname = alert.labels?.alertname || 'Alert';
+  if (buttonIndex === BUTTON_SILENCE) {
+    await silenceFromNotification(instance, alert, await Storage.getSettings());
+  } else if (buttonIndex === BUTTON_ACKNOWLEDGE) {
+    await Storage.acknowledgeAlert(instance.id, alert.fingerprint);
+    await refreshBadgeFromCache();
+    showResultNotification(`Acknowledged ${alertname}`, `No more reminders until it resolves on ${instance.name}.`);
   }
 });
 
@@ -151,6 +782,16 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     pollAlerts().then(() => sendResponse({ success: true })).catch((err) => sendResponse({ success: false, error: err.message }));
     return true;
   }
+  if (message.action === 'refreshBadge') {
+    refreshBadgeFromCache().then(() => sendResponse({ success: true })).catch((err) => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+  if (message.action === 'testSound') {
+    playSound('test', message.severity, message.volume)
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
   if (message.action === 'getAlerts') {
     (async () => {
       const instance = await Storage.getActiveInstance();
@@ -0,0 +1,244 @@
+(function () {
+  'use strict';
+
+  const $ = (sel) => document.querySelector(sel);
+
+  const dom = {
+    rangeSelect: $('#rangeSelect'),
+    instanceSelect: $('#instanceSelect'),
+    refreshBtn: $('#refreshBtn'),
+    retentionNote: $('#retentionNote'),
+    statCards: $('#statCards'),
+    severityChart: $('#severityChart'),
+    severityLegend: $('#severityLegend'),
+    noisiestList: $('#noisiestList'),
+    flappingList: $('#flappingList'),
+    flapThreshold: $('#flapThreshold'),
+  };
+
+  const HOUR_MS = 60 * 60 * 1000;
+  const NOISIEST_LIMIT = 10;
+  const SEVERITIES = ['critical', 'warning', 'info', 'none'];
+
+  let episodes = [];
+
+  function severityOf(episode) {
+    const severity = episode.labels?.severity?.toLowerCase();
+    return Utils.SEVERITY[severity] ? severity : 'none';
+  }
+
+  function formatDuration(ms) {
+    if (ms === null || isNaN(ms)) return 'N/A';
+    return Utils.formatDuration(Math.round(ms / 60000) * 60000);
+  }
+
+  function renderEmpty(text) {
+    return `<div class="empty">${Utils.escapeHtml(text)}</div>`;
+  }
+
+  function renderStatCards(since) {
+    const resolved = episodes.filter((e) => e.endsAt !== null);
+    const ongoing = episodes.length - resolved.length;
+    const mttr = resolved.length > 0
+      ? resolved.reduce((sum, e) => sum + (e.endsAt - e.startsAt), 0) / resolved.length
+      : null;
+    const started = episodes.filter((e) => e.startsAt >= since);
+    const critical = started.filter((e) => severityOf(e) === 'critical').length;
+
+    const cards = [
+      { label: 'Alerts Fired', value: started.length },
+      { label: 'Still Firing', value: ongoing },
+      { label: 'Critical Fired', value: critical },
+      { label: 'Mean Time to Resolve', value: formatDuration(mttr) },
+    ];
+
+    dom.statCards.innerHTML = cards
+      .map((c) => `<div class="stat-card"><div class="stat-value">${Utils.escapeHtml(String(c.value))}</div><div class="stat-label">${c.label}</div></div>`)
+      .join('');
+  }
+
+  // Bucket start times from `since` until now, on local hours or midnights so they match their labels
+  function bucketStarts(since, daily) {
+    const date = new Date(since);
+    if (daily) date.setHours(0, 0, 0, 0);
+    else date.setMinutes(0, 0, 0);
+
+    const starts = [];
+    while (date.getTime() < Date.now()) {
+      starts.push(date.getTime());
+      // Stepping by calendar day keeps daily buckets on midnight across DST changes
+      if (daily) date.setDate(date.getDate() + 1);
+      else date.setTime(date.getTime() + HOUR_MS);
+    }
+    return starts;
+  }
+
+  function renderSeverityChart(since, rangeHours) {
+    // Hourly buckets for a day, daily buckets for longer ranges
+    const daily = rangeHours > 24;
+    const buckets = bucketStarts(since, daily).map((at) => ({
+      at,
+      counts: Object.fromEntries(SEVERITIES.map((s) => [s, 0])),
+      total: 0,
+    }));
+
+    episodes
+      .filter((e) => e.startsAt >= buckets[0]?.at)
+      .forEach((e) => {
+        const bucket = buckets.findLast((b) => b.at <= e.startsAt);
+        bucket.counts[severityOf(e)]++;
+        bucket.total++;
+      });
+
+    const max = Math.max(1, ...buckets.map((b) => b.total));
+    const labelEvery = Math.ceil(buckets.length / 12);
+
+    dom.severityChart.innerHTML = buckets
+      .map((b, i) => {
+        const date = new Date(b.at);
+        const label = daily
+          ? date.toLocaleDateString([], { month: 'short', day: 'numeric' })
+          : date.toLocaleTimeString([], { hour: '2-digit' });
+        const segments = SEVERITIES.filter((s) => b.counts[s] > 0)
+          .map((s) => `<div class="bar-segment" style="height:${(b.counts[s] / max) * 100}%;background:${Utils.SEVERITY[s].color}"></div>`)
+          .join('');
+        const title = `${date.toLocaleString()}: ` + SEVERITIES.map((s) => `${b.counts[s]} ${s}`).join(', ');
+        return `<div class="bar" title="${Utils.escapeHtml(title)}">
+          <div class="bar-stack">${segments}</div>
+          <div class="bar-label">${i % labelEvery === 0 ? Utils.escapeHtml(label) : ''}</div>
+        </div>`;
+      })
+      .join('');
+
+    dom.severityLegend.innerHTML = SEVERITIES
+      .map((s) => `<span class="legend-item"><span class="legend-swatch" style="background:${Utils.SEVERITY[s].color}"></span>${s}</span>`)
+      .join('');
+  }
+
+  function renderNoisiest(since) {
+    const byName = {};
+    episodes
+      .filter((e) => e.startsAt >= since)
+      .forEach((e) => {
+        const name = e.labels?.alertname || 'Unknown';
+        const entry = byName[name] || (byName[name] = { name, count: 0, firingMs: 0, severity: severityOf(e) });
+        entry.count++;
+        entry.firingMs += (e.endsAt ?? Date.now()) - e.startsAt;
+      });
+
+    const top = Object.values(byName)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, NOISIEST_LIMIT);
+
+    if (top.length === 0) {
+      dom.noisiestList.innerHTML = renderEmpty('No alerts fired in this period.');
+      return;
+    }
+
+    const max = top[0].count;
+    dom.noisiestList.innerHTML = top
+      .map(
+        (entry) => `<div class="rank-row">
+          <div class="rank-name">${Utils.escapeHtml(entry.name)}</div>
+          <div class="rank-bar"><div style="width:${(entry.count / max) * 100}%;background:${Utils.SEVERITY[entry.severity].color}"></div></div>
+          <div class="rank-value">${entry.count}×</div>
+          <div class="rank-meta" title="Total firing time">${formatDuration(entry.firingMs)}</div>
+        </div>`
+      )
+      .join('');
+  }
+
+  function renderFlapping(since) {
+    const threshold = Math.max(1, parseInt(dom.flapThreshold.value, 10) || 3);
+    const byAlert = {};
+    episodes
+      .filter((e) => e.startsAt >= since)
+      .forEach((e) => {
+        const key = `${e.instanceId}|${e.fingerprint}`;
+        const entry = byAlert[key] || (byAlert[key] = { episode: e, count: 0, lastAt: 0 });
+        entry.count++;
+        entry.lastAt = Math.max(entry.lastAt, e.startsAt);
+      });
+
+    const flapping = Object.values(byAlert)
+      .filter((entry) => entry.count > threshold)
+      .sort((a, b) => b.count - a.count);
+
+    if (flapping.length === 0) {
+      dom.flappingList.innerHTML = renderEmpty(`No alert fired more than ${threshold} times in this period.`);
+      return;
+    }
+
+    dom.flappingList.innerHTML = flapping
+      .map(({ episode, count, lastAt }) => {
+        const labels = Object.entries(episode.labels || {})
+          .filter(([k]) => k !== 'alertname')
+          .map(([k, v]) => `<span class="label-tag">${Utils.escapeHtml(k)}=${Utils.escapeHtml(Utils.truncate(v, 30))}</span>`)
+          .join('');
+        return `<div class="flap-row">
+          <div class="flap-top">
+            <span class="rank-name">${Utils.escapeHtml(episode.labels?.alertname || 'Unknown')}</span>
+            <span class="instance-tag">${Utils.escapeHtml(episode.instanceName)}</span>
+            <span class="rank-value">${count}×</span>
+          </div>
+          <div class="flap-labels">${labels}</div>
+          <div class="rank-meta">Last fired ${Utils.timeAgo(new Date(lastAt).toISOString())}</div>
+        </div>`;
+      })
+      .join('');
+  }
+
+  async function populateInstances() {
+    const instances = await Storage.getInstances();
+    dom.instanceSelect.innerHTML =
+      '<option value="">All instances</option>' +
+      instances.map((i) => `<option value="${Utils.escapeHtml(i.id)}">${Utils.escapeHtml(i.name)}</option>`).join('');
+  }
+
+  async function render() {
+    const rangeHours = Number(dom.rangeSelect.value);
+    const since = Date.now() - rangeHours * HOUR_MS;
+    const settings = await Storage.getSettings();
+
+    dom.retentionNote.textContent = rangeHours > settings.historyRetentionDays * 24
+      ? `History is only kept for ${settings.historyRetentionDays} days — increase the retention in Settings to cover this range.`
+      : '';
+
+    try {
+      episodes = await AlertHistory.getEpisodes({ since, instanceId: dom.instanceSelect.value || undefined });
+    } catch (err) {
+      // Don't leave the previous range's figures next to the error
+      episodes = [];
+      dom.statCards.innerHTML = renderEmpty(`Failed to load history: ${err.message}`);
+      dom.severityChart.innerHTML = '';
+      dom.severityLegend.innerHTML = '';
+      dom.noisiestList.innerHTML = renderEmpty('History unavailable.');
+      dom.flappingList.innerHTML = renderEmpty('History unavailable.');
+      return;
+    }
+
+    renderStatCards(since);
+    renderSeverityChart(since, rangeHours);
+    renderNoisiest(since);
+    renderFlapping(since);
+  }
+
+  function bindEvents() {
+    dom.rangeSelect.addEventListener('change', render);
+    dom.instanceSelect.addEventListener('change', render);
+    dom.refreshBtn.addEventListener('click', render);
+    dom.flapThreshold.addEventListener('input', Utils.debounce(() => renderFlapping(Date.now() - Number(dom.rangeSelect.value) * HOUR_MS), 300));
+  }
+
+  async function init() {
+    await populateInstances();
+    bindEvents();
+    await render();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -4,6 +4,12 @@
  */
 
 const AlertmanagerAPI = {
+  /**
+   * Base URL of the peer that last answered, per instance ID. It is tried
+   * first on the next request so a dead replica only costs one timeout.
+   */
+  _preferredUrls: {},
+
   /**
    * Build authorization headers based on instance auth config.
    * @param {Object} instance - AlertmanagerInstance
@@ -25,6 +31,21 @@ const AlertmanagerAPI = {
     return headers;
   },
 
+  /**
+   * Split matchers into `filter` query param values; Alertmanager expects
+   * one matcher per repeated param.
+   * @param {string|Array<string|Object>} matchers - expression(s) such as
+   *   `env="prod", instance!~"canary.*"`, or matcher objects
+   * @returns {string[]}
+   * @throws {SyntaxError} if an expression cannot be parsed
+   */
+  _filterParams(matchers) {
+    const list = Array.isArray(matchers) ? matchers : [matchers];
+    return list
+      .flatMap((m) => (typeof m === 'string' ? Utils.parseMatchers(m) : [m]))
+      .map((m) => Utils.formatMatcher(m));
+  },
+
   /**
    * Normalize the base URL (strip trailing slash).
    * @param {string} url
@@ -34,29 +55,127 @@ const AlertmanagerAPI = {
     return url.replace(/\/+$/, '');
   },
 
+  /**
+   * Get the unique, normalized base URLs of an instance: its URL plus HA peers.
+   * @param {Object} instance - AlertmanagerInstance
+   * @returns {string[]}
+   */
+  _baseUrls(instance) {
+    const urls = [instance.url, ...(instance.peerUrls || [])].filter(Boolean);
+    return [...new Set(urls.map((u) => this._normalizeUrl(u)))];
+  },
+
+  /**
+   * List the base URLs of an instance in the order they should be tried,
+   * last-known-good first.
+   * @param {Object} instance - AlertmanagerInstance
+   * @returns {string[]}
+   */
+  getPeerUrls(instance) {
+    const unique = this._baseUrls(instance);
+    const preferred = this._preferredUrls[instance.id];
+    if (preferred && unique.includes(preferred)) {
+      return [preferred, ...unique.filter((u) => u !== preferred)];
+    }
+    return unique;
+  },
+
+  /**
+   * Get the base URL of the peer that answered the last successful request.
+   * @param {Object} instance - AlertmanagerInstance
+   * @returns {string|null}
+   */
+  getAnsweringUrl(instance) {
+    return this._preferredUrls[instance.id] || null;
+  },
+
+  /**
+   * Seed the last-known-good peer (e.g. from storage after a restart).
+   * @param {Object} instance - AlertmanagerInstance
+   * @param {string} url
+   */
+  setPreferredUrl(instance, url) {
+    if (url) this._preferredUrls[instance.id] = this._normalizeUrl(url);
+  },
+
+  /**
+   * Send a request to an instance, failing over across its HA peers.
+   * Network errors, timeouts and 5xx responses move on to the next peer;
+   * other HTTP errors are returned as-is since every peer would agree.
+   * Only GETs fail over: a POST or DELETE that timed out may still have been
+   * applied, and replaying it on a peer would e.g. create a silence twice.
+   * @param {Object} instance - AlertmanagerInstance
+   * @param {string} path - API path, e.g. /api/v2/alerts
+   * @param {Object} [options]
+   * @param {URLSearchParams} [options.params]
+   * @param {string} [options.method]
+   * @param {Object} [options.body]
+   * @returns {Promise<any>}
+   */
+  async _request(instance, path, options = {}) {
+    const headers = this._buildHeaders(instance);
+    const query = options.params ? options.params.toString() : '';
+    const urls = this.getPeerUrls(instance);
+    const idempotent = !options.method || options.method === 'GET';
+    let lastError = new Error('No URL configured');
+
+    for (const baseUrl of urls) {
+      try {
+        const result = await this._fetch(`${baseUrl}${path}${query ? `?${query}` : ''}`, headers, 10000, options);
+        this._preferredUrls[instance.id] = baseUrl;
+        return result;
+      } catch (err) {
+        if ((err.status && err.status < 500) || !idempotent) throw err;
+        lastError = err;
+      }
+    }
+
+    if (urls.length > 1) {
+      throw new Error(`All ${urls.length} peers failed, last error: ${lastError.message}`);
+    }
+    throw lastError;
+  },
+
   /**
    * Make a fetch request with error handling.
    * @param {string} url
    * @param {Object} headers
    * @param {number} [timeout=10000]
-   * @returns {Promise<any>}
+   * @param {Object} [options]
+   * @param {string} [options.method='GET']
+   * @param {Object} [options.body] - JSON-serialized request body
+   * @returns {Promise<any>} - parsed JSON, or null for empty responses
    */
-  async _fetch(url, headers, timeout = 10000) {
+  async _fetch(url, headers, timeout = 10000, options = {}) {
     const controller = new AbortController();
     const timer = setTimeout(() => controller.abort(), timeout);
 
     try {
       const response = await fetch(url, {
-        method: 'GET',
+        method: options.method || 'GET',
         headers,
+        body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
         signal: controller.signal,
       });
 
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        // Alertmanager returns the validation error as a JSON string body
+        let detail = '';
+        try {
+          const text = await response.text();
+          detail = text ? String(JSON.parse(text)) : '';
+        } catch {
+          // ignore unreadable error bodies
+        }
+        const error = new Error(
+          `HTTP ${response.status}: ${response.statusText}` + (detail ? ` — ${detail}` : '')
+        );
+        error.status = response.status;
+        throw error;
       }
 
-      return await response.json();
+      const text = await response.text();
+      return text ? JSON.parse(text) : null;
     } catch (err) {
       if (err.name === 'AbortError') {
         throw new Error(`Request timeout after ${timeout}ms`);
@@ -75,13 +194,12 @@ const AlertmanagerAPI = {
    * @param {boolean} [filter.silenced=true]
    * @param {boolean} [filter.inhibited=true]
    * @param {boolean} [filter.unprocessed=true]
-   * @param {string} [filter.filter] - Label matcher expression
+   * @param {string|Array<string|Object>} [filter.filter] - Label matcher expression(s) or matcher objects
    * @param {string} [filter.receiver] - Receiver regex
    * @returns {Promise<Array>}
    */
   async getAlerts(instance, filter = {}) {
-    const baseUrl = this._normalizeUrl(instance.url);
-    const url = new URL(`${baseUrl}/api/v2/alerts`);
+    const searchParams = new URLSearchParams();
 
     // Set query params
     const params = {
@@ -92,40 +210,111 @@ const AlertmanagerAPI = {
     };
 
     Object.entries(params).forEach(([key, value]) => {
-      url.searchParams.set(key, String(value));
+      searchParams.set(key, String(value));
     });
 
     if (filter.filter) {
-      // filter param can be repeated for multiple matchers
-      const filters = Array.isArray(filter.filter) ? filter.filter : [filter.filter];
-      filters.forEach((f) => url.searchParams.append('filter', f));
+      this._filterParams(filter.filter).forEach((f) => searchParams.append('filter', f));
     }
 
     if (filter.receiver) {
-      url.searchParams.set('receiver', filter.receiver);
+      searchParams.set('receiver', filter.receiver);
     }
 
-    const headers = this._buildHeaders(instance);
-    return await this._fetch(url.toString(), headers);
+    return await this._request(instance, '/api/v2/alerts', { params: searchParams });
+  },
+
+  /**
+   * Fetch alerts grouped the way Alertmanager's routing tree batches them
+   * into notifications: one group per route/receiver and group_by labels.
+   * @param {Object} instance - AlertmanagerInstance
+   * @param {Object} [filter] - Filter options
+   * @param {boolean} [filter.active=true]
+   * @param {boolean} [filter.silenced=true]
+   * @param {boolean} [filter.inhibited=true]
+   * @param {string|Array<string|Object>} [filter.filter] - Label matcher expression(s) or matcher objects
+   * @param {string} [filter.receiver] - Receiver regex
+   * @returns {Promise<Array<{labels: Object, receiver: {name: string}, alerts: Array}>>}
+   */
+  async getAlertGroups(instance, filter = {}) {
+    const searchParams = new URLSearchParams();
+
+    ['active', 'silenced', 'inhibited'].forEach((key) => {
+      searchParams.set(key, String(filter[key] !== undefined ? filter[key] : true));
+    });
+
+    if (filter.filter) {
+      this._filterParams(filter.filter).forEach((f) => searchParams.append('filter', f));
+    }
+
+    if (filter.receiver) {
+      searchParams.set('receiver', filter.receiver);
+    }
+
+    return await this._request(instance, '/api/v2/alerts/groups', { params: searchParams });
   },
 
   /**
    * Fetch silences from an Alertmanager instance.
    * @param {Object} instance - AlertmanagerInstance
-   * @param {string} [filterParam] - Optional filter
+   * @param {string|Array<string|Object>} [filterParam] - Optional matcher expression(s) or matcher objects
    * @returns {Promise<Array>}
    */
   async getSilences(instance, filterParam) {
-    const baseUrl = this._normalizeUrl(instance.url);
-    const url = new URL(`${baseUrl}/api/v2/silences`);
+    const searchParams = new URLSearchParams();
 
     if (filterParam) {
-      const filters = Array.isArray(filterParam) ? filterParam : [filterParam];
-      filters.forEach((f) => url.searchParams.append('filter', f));
+      this._filterParams(filterParam).forEach((f) => searchParams.append('filter', f));
     }
 
-    const headers = this._buildHeaders(instance);
-    return await this._fetch(url.toString(), headers);
+    return await this._request(instance, '/api/v2/silences', { params: searchParams });
+  },
+
+  /**
+   * Create a silence, or update it when `silence.id` is set.
+   * @param {Object} instance - AlertmanagerInstance
+   * @param {Object} silence - PostableSilence
+   * @param {string} [silence.id] - Existing silence ID to update
+   * @param {Array<{name: string, value: string, isRegex: boolean, isEqual: boolean}>} silence.matchers
+   * @param {string} silence.startsAt - ISO date string
+   * @param {string} silence.endsAt - ISO date string
+   * @param {string} silence.createdBy
+   * @param {string} silence.comment
+   * @returns {Promise<string>} - the silence ID
+   */
+  async createSilence(instance, silence) {
+    const result = await this._request(instance, '/api/v2/silences', { method: 'POST', body: silence });
+    return result?.silenceID;
+  },
+
+  /**
+   * Expire a silence immediately.
+   * @param {Object} instance - AlertmanagerInstance
+   * @param {string} silenceId
+   * @returns {Promise<void>}
+   */
+  async expireSilence(instance, silenceId) {
+    await this._request(instance, `/api/v2/silence/${encodeURIComponent(silenceId)}`, { method: 'DELETE' });
+  },
+
+  /**
+   * Extend an existing silence by a duration, counted from its current end
+   * (or from now if it has already ended).
+   * @param {Object} instance - AlertmanagerInstance
+   * @param {Object} silence - GettableSilence
+   * @param {number} durationMs
+   * @returns {Promise<string>} - the silence ID
+   */
+  async extendSilence(instance, silence, durationMs) {
+    const end = Math.max(Date.now(), new Date(silence.endsAt).getTime());
+    return await this.createSilence(instance, {
+      id: silence.id,
+      matchers: silence.matchers,
+      startsAt: silence.startsAt,
+      endsAt: new Date(end + durationMs).toISOString(),
+      createdBy: silence.createdBy,
+      comment: silence.comment,
+    });
   },
 
   /**
@@ -134,16 +323,39 @@ const AlertmanagerAPI = {
    * @returns {Promise<Object>}
    */
   async getStatus(instance) {
-    const baseUrl = this._normalizeUrl(instance.url);
-    const url = `${baseUrl}/api/v2/status`;
+    return await this._request(instance, '/api/v2/status');
+  },
+
+  /**
+   * Check every configured peer of an instance individually.
+   * @param {Object} instance - AlertmanagerInstance
+   * @returns {Promise<Array<{url: string, ok: boolean, version?: string, clusterStatus?: string, latencyMs?: number, error?: string}>>}
+   */
+  async probePeers(instance) {
     const headers = this._buildHeaders(instance);
-    return await this._fetch(url, headers);
+    return await Promise.all(
+      this._baseUrls(instance).map(async (url) => {
+        const started = Date.now();
+        try {
+          const status = await this._fetch(`${url}/api/v2/status`, headers, 5000);
+          return {
+            url,
+            ok: true,
+            version: status.versionInfo?.version || 'unknown',
+            clusterStatus: status.cluster?.status,
+            latencyMs: Date.now() - started,
+          };
+        } catch (err) {
+          return { url, ok: false, error: err.message };
+        }
+      })
+    );
   },
 
   /**
    * Test connectivity to an Alertmanager instance.
    * @param {Object} instance - AlertmanagerInstance
-   * @returns {Promise<{success: boolean, message: string, version?: string}>}
+   * @returns {Promise<{success: boolean, message: string, version?: string, url?: string}>}
    */
   async testConnection(instance) {
     try {
@@ -152,6 +364,7 @@ const AlertmanagerAPI = {
         success: true,
         message: 'Connected successfully',
         version: status.versionInfo?.version || 'unknown',
+        url: this.getAnsweringUrl(instance),
       };
     } catch (err) {
       return {
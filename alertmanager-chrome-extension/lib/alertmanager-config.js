@@ -0,0 +1,180 @@
+/**
+ * Alertmanager Configuration Helpers
+ * Builds the routing tree from a parsed Alertmanager configuration and
+ * matches label sets against it the way Alertmanager's dispatcher does.
+ */
+
+/**
+ * @typedef {Object} RouteNode
+ * @property {string} path - Position in the tree, e.g. "0.2.1"
+ * @property {number} depth
+ * @property {string} receiver - Effective receiver (inherited if not set)
+ * @property {string[]} groupBy - Effective group_by; ['...'] groups by all labels
+ * @property {string} groupWait
+ * @property {string} groupInterval
+ * @property {string} repeatInterval
+ * @property {string[]} inherited - Names of the fields above taken from the parent
+ * @property {Array<{name: string, value: string, isRegex: boolean, isEqual: boolean}>} matchers
+ * @property {boolean} continue
+ * @property {string[]} muteTimeIntervals
+ * @property {string[]} activeTimeIntervals
+ * @property {RouteNode[]} routes
+ */
+
+const ROUTE_DEFAULTS = {
+  groupWait: '30s',
+  groupInterval: '5m',
+  repeatInterval: '4h',
+};
+
+const AlertmanagerConfig = {
+  /**
+   * Parse the YAML Alertmanager reports in `config.original`.
+   * @param {string} yamlText
+   * @returns {Object}
+   * @throws {SyntaxError}
+   */
+  parse(yamlText) {
+    const config = YAML.parse(yamlText);
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new SyntaxError('Configuration is not a YAML mapping');
+    }
+    return config;
+  },
+
+  /**
+   * Collect a route's matchers from `matchers`, and the deprecated `match`
+   * and `match_re` maps.
+   * @param {Object} route - raw route from the configuration
+   * @returns {Array<{name: string, value: string, isRegex: boolean, isEqual: boolean}>}
+   * @throws {SyntaxError} if a matcher cannot be parsed
+   */
+  routeMatchers(route) {
+    const matchers = [];
+    Object.entries(route.match || {}).forEach(([name, value]) => {
+      matchers.push({ name, value: String(value ?? ''), isRegex: false, isEqual: true });
+    });
+    Object.entries(route.match_re || {}).forEach(([name, value]) => {
+      matchers.push({ name, value: String(value ?? ''), isRegex: true, isEqual: true });
+    });
+    (route.matchers || []).forEach((expression) => {
+      matchers.push(...Utils.parseMatchers(String(expression)));
+    });
+    return matchers;
+  },
+
+  /**
+   * Build the routing tree with every setting resolved against its parent.
+   * @param {Object} config - parsed configuration
+   * @returns {RouteNode}
+   * @throws {Error} if the configuration has no route
+   */
+  buildRouteTree(config) {
+    if (!config.route || typeof config.route !== 'object') {
+      throw new Error('Configuration has no route');
+    }
+    return this._buildRoute(config.route, null, '0', 0);
+  },
+
+  _buildRoute(route, parent, path, depth) {
+    const inherited = [];
+    const pick = (field, raw, fallback) => {
+      if (raw !== undefined && raw !== null) return raw;
+      inherited.push(field);
+      return parent ? parent[field] : fallback;
+    };
+
+    const node = {
+      path,
+      depth,
+      receiver: pick('receiver', route.receiver, ''),
+      groupBy: pick('groupBy', route.group_by ? route.group_by.map(String) : undefined, []),
+      groupWait: pick('groupWait', route.group_wait, ROUTE_DEFAULTS.groupWait),
+      groupInterval: pick('groupInterval', route.group_interval, ROUTE_DEFAULTS.groupInterval),
+      repeatInterval: pick('repeatInterval', route.repeat_interval, ROUTE_DEFAULTS.repeatInterval),
+      inherited: parent ? inherited : [],
+      // The root route matches every alert
+      matchers: parent ? this.routeMatchers(route) : [],
+      continue: route.continue === true,
+      muteTimeIntervals: route.mute_time_intervals || [],
+      activeTimeIntervals: route.active_time_intervals || [],
+      routes: [],
+    };
+    node.routes = (route.routes || []).map((child, i) => this._buildRoute(child, node, `${path}.${i}`, depth + 1));
+    return node;
+  },
+
+  /**
+   * Find the routes a label set is delivered to, like `amtool config routes test`:
+   * children are tried in order, stopping at the first match unless it has
+   * `continue: true`, and a route with no matching child handles the alert itself.
+   * @param {RouteNode} route
+   * @param {Object} labels
+   * @returns {RouteNode[]} - empty if the route itself doesn't match
+   */
+  matchRoutes(route, labels) {
+    if (!Utils.matchesMatchers(labels, route.matchers)) return [];
+
+    const matched = [];
+    for (const child of route.routes) {
+      const childMatches = this.matchRoutes(child, labels);
+      matched.push(...childMatches);
+      if (childMatches.length > 0 && !child.continue) break;
+    }
+    return matched.length > 0 ? matched : [route];
+  },
+
+  /**
+   * Normalize the configuration's inhibit_rules, merging the current
+   * `*_matchers` lists with the deprecated `*_match` and `*_match_re` maps.
+   * @param {Object} config - parsed configuration
+   * @returns {Array<{index: number, sourceMatchers: Array, targetMatchers: Array, equal: string[]}>}
+   * @throws {SyntaxError} if a matcher cannot be parsed
+   */
+  inhibitRules(config) {
+    const side = (rule, prefix) => this.routeMatchers({
+      match: rule[`${prefix}_match`],
+      match_re: rule[`${prefix}_match_re`],
+      matchers: rule[`${prefix}_matchers`],
+    });
+    return (config.inhibit_rules || []).map((rule, index) => ({
+      index,
+      sourceMatchers: side(rule, 'source'),
+      targetMatchers: side(rule, 'target'),
+      equal: (rule.equal || []).map(String),
+    }));
+  },
+
+  /**
+   * Find the inhibit rules through which one alert mutes another: the source
+   * alert matches the source side, the muted alert the target side, and both
+   * have the same values for the `equal` labels.
+   * @param {Array} rules - from inhibitRules
+   * @param {Object} sourceLabels - labels of the inhibiting alert
+   * @param {Object} targetLabels - labels of the inhibited alert
+   * @returns {Array}
+   */
+  matchInhibitRules(rules, sourceLabels, targetLabels) {
+    return rules.filter(
+      (rule) =>
+        Utils.matchesMatchers(sourceLabels, rule.sourceMatchers) &&
+        Utils.matchesMatchers(targetLabels, rule.targetMatchers) &&
+        rule.equal.every((name) => (sourceLabels[name] ?? '') === (targetLabels[name] ?? ''))
+    );
+  },
+
+  /**
+   * Compute the labels an alert would be grouped by on a route.
+   * @param {RouteNode} route
+   * @param {Object} labels
+   * @returns {Object}
+   */
+  groupLabels(route, labels) {
+    if (route.groupBy.includes('...')) return { ...labels };
+    return Object.fromEntries(route.groupBy.filter((name) => name in labels).map((name) => [name, labels[name]]));
+  },
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.AlertmanagerConfig = AlertmanagerConfig;
+}
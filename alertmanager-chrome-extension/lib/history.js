@@ -0,0 +1,222 @@
+/**
+ * Alert History Store
+ * Records alert episodes (firing → resolved) in IndexedDB, so alerts stay
+ * visible after they resolve and drop out of Alertmanager.
+ */
+
+const HISTORY_DB_NAME = 'alertmanager-history';
+const HISTORY_DB_VERSION = 1;
+const EPISODE_STORE = 'episodes';
+
+/**
+ * @typedef {Object} AlertEpisode
+ * @property {number} id - Auto-increment key
+ * @property {string} instanceId
+ * @property {string} instanceName
+ * @property {string} fingerprint
+ * @property {Object} labels
+ * @property {Object} annotations
+ * @property {number} startsAt - Epoch ms the alert started firing
+ * @property {number|null} endsAt - Epoch ms it was seen resolved, null while open
+ * @property {'firing'|'silenced'|'inhibited'|'resolved'} state - Last observed state
+ * @property {Array<{state: string, at: number}>} transitions
+ * @property {string} [openFor] - Instance ID while the episode is open (indexed)
+ */
+
+const AlertHistory = {
+  _dbPromise: null,
+
+  /**
+   * Open (and create/upgrade) the history database.
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+        req.onupgradeneeded = () => {
+          const store = req.result.createObjectStore(EPISODE_STORE, { keyPath: 'id', autoIncrement: true });
+          // Only open episodes carry `openFor`, so this index lists exactly those
+          store.createIndex('openFor', 'openFor');
+          store.createIndex('endsAt', 'endsAt');
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return this._dbPromise;
+  },
+
+  /**
+   * Wrap an IDBRequest in a promise.
+   * @param {IDBRequest} req
+   * @returns {Promise<any>}
+   */
+  _promisify(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  },
+
+  /**
+   * Resolve when a transaction commits.
+   * @param {IDBTransaction} tx
+   * @returns {Promise<void>}
+   */
+  _done(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  },
+
+  /**
+   * Map an Alertmanager alert to its history state.
+   * @param {Object} alert
+   * @returns {'firing'|'silenced'|'inhibited'}
+   */
+  stateOf(alert) {
+    if (alert.status?.state !== 'suppressed') return 'firing';
+    return alert.status?.silencedBy?.length > 0 ? 'silenced' : 'inhibited';
+  },
+
+  /**
+   * Mark an open episode resolved.
+   * @param {AlertEpisode} episode
+   * @param {number} now - Epoch ms
+   * @returns {AlertEpisode}
+   */
+  _close(episode, now) {
+    episode.state = 'resolved';
+    episode.endsAt = now;
+    episode.transitions.push({ state: 'resolved', at: now });
+    delete episode.openFor;
+    return episode;
+  },
+
+  /**
+   * Record the alerts currently reported by an instance: open episodes for
+   * new alerts, log state changes, and close episodes of alerts that are gone.
+   * @param {Object} instance - AlertmanagerInstance
+   * @param {Array} alerts
+   * @returns {Promise<void>}
+   */
+  async recordSnapshot(instance, alerts) {
+    const now = Date.now();
+    const db = await this._open();
+    const tx = db.transaction(EPISODE_STORE, 'readwrite');
+    const done = this._done(tx);
+    const store = tx.objectStore(EPISODE_STORE);
+
+    const open = await this._promisify(store.index('openFor').getAll(instance.id));
+    const openByFingerprint = new Map(open.map((e) => [e.fingerprint, e]));
+    const seen = new Set();
+
+    alerts.forEach((alert) => {
+      seen.add(alert.fingerprint);
+      const state = this.stateOf(alert);
+      const episode = openByFingerprint.get(alert.fingerprint);
+
+      if (!episode) {
+        const startsAt = Math.min(now, new Date(alert.startsAt).getTime() || now);
+        store.add({
+          instanceId: instance.id,
+          instanceName: instance.name,
+          fingerprint: alert.fingerprint,
+          labels: alert.labels || {},
+          annotations: alert.annotations || {},
+          startsAt,
+          endsAt: null,
+          state,
+          transitions: [{ state, at: startsAt }],
+          openFor: instance.id,
+        });
+      } else if (episode.state !== state) {
+        episode.state = state;
+        episode.transitions.push({ state, at: now });
+        store.put(episode);
+      }
+    });
+
+    open
+      .filter((episode) => !seen.has(episode.fingerprint))
+      .forEach((episode) => store.put(this._close(episode, now)));
+
+    await done;
+  },
+
+  /**
+   * Close the open episodes of instances that are no longer polled, e.g.
+   * removed or unmonitored ones; no snapshot would ever resolve them.
+   * @param {string[]} instanceIds - Instances still polled
+   * @returns {Promise<void>}
+   */
+  async closeUnpolled(instanceIds) {
+    const now = Date.now();
+    const db = await this._open();
+    const tx = db.transaction(EPISODE_STORE, 'readwrite');
+    const done = this._done(tx);
+    tx.objectStore(EPISODE_STORE).index('openFor').openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      if (!instanceIds.includes(cursor.value.openFor)) cursor.update(this._close(cursor.value, now));
+      cursor.continue();
+    };
+    await done;
+  },
+
+  /**
+   * Get episodes that were firing at any point since a given time.
+   * @param {Object} [query]
+   * @param {number} [query.since=0] - Epoch ms
+   * @param {string} [query.instanceId] - Limit to one instance
+   * @returns {Promise<AlertEpisode[]>} - newest first
+   */
+  async getEpisodes({ since = 0, instanceId } = {}) {
+    const db = await this._open();
+    const store = db.transaction(EPISODE_STORE, 'readonly').objectStore(EPISODE_STORE);
+    const all = await this._promisify(store.getAll());
+    return all
+      .filter((e) => (e.endsAt ?? Date.now()) >= since)
+      .filter((e) => !instanceId || e.instanceId === instanceId)
+      .sort((a, b) => b.startsAt - a.startsAt);
+  },
+
+  /**
+   * Delete resolved episodes older than the retention period.
+   * @param {number} retentionDays
+   * @returns {Promise<void>}
+   */
+  async prune(retentionDays) {
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const db = await this._open();
+    const tx = db.transaction(EPISODE_STORE, 'readwrite');
+    const done = this._done(tx);
+    tx.objectStore(EPISODE_STORE).index('endsAt').openCursor(IDBKeyRange.upperBound(cutoff)).onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (cursor) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+    await done;
+  },
+
+  /**
+   * Delete all recorded history.
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this._open();
+    const tx = db.transaction(EPISODE_STORE, 'readwrite');
+    const done = this._done(tx);
+    tx.objectStore(EPISODE_STORE).clear();
+    await done;
+  },
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.AlertHistory = AlertHistory;
+}
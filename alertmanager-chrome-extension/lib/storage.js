@@ -6,10 +6,46 @@
 const DEFAULT_SETTINGS = {
   instances: [],
   activeInstanceId: null,
+  showAllInstances: false, // popup merges every instance instead of the active one
   pollInterval: 30, // seconds
   enableNotifications: true,
   enableBadge: true,
   theme: 'light',
+  silenceCreatedBy: '', // remembered author for silences created from the popup
+  historyRetentionDays: 7,
+  notificationSilenceDuration: '1h', // used by the "Silence" notification button
+  silenceExpiryMinutes: 15, // remind about own silences ending this soon; 0 disables
+  renotifyMinutes: {
+    // repeat notifications for unacknowledged firing alerts; 0 disables
+    critical: 30,
+    warning: 0,
+    info: 0,
+  },
+  notificationRules: [], // NotificationRule[], first match wins
+  savedViews: [], // SavedView[] for the popup's alert list
+  silenceTemplates: [], // SilenceTemplate[] offered in the silence editor
+  maintenanceWindows: [], // MaintenanceWindow[] silenced automatically by the service worker
+  defaultViews: {}, // instance ID (or "__all__") → SavedView ID applied when switching to it
+  quietHours: {
+    // outside these days/hours only alerts matching `override` are notified
+    enabled: false,
+    timeZone: '', // IANA name, empty for the browser's zone
+    days: [1, 2, 3, 4, 5], // 0 = Sunday
+    start: '09:00',
+    end: '18:00',
+    override: 'severity="critical"',
+  },
+  sound: {
+    // tones played through the offscreen document instead of Chrome's sound
+    enabled: false,
+    volume: 70, // 0–100
+    loopCritical: false, // repeat critical alarms until acknowledged
+  },
+  onCall: {
+    // only notify on the weekdays the user is on call
+    enabled: false,
+    days: [],
+  },
   defaultFilter: {
     active: true,
     silenced: true,
@@ -23,31 +59,96 @@ const DEFAULT_SETTINGS = {
  * @property {string} id - Unique identifier
  * @property {string} name - Display name
  * @property {string} url - Alertmanager base URL (e.g. http://localhost:9093)
+ * @property {string[]} [peerUrls] - Base URLs of other replicas in the same HA cluster
  * @property {'none'|'basic'|'bearer'} authType - Authentication type
  * @property {string} [username] - Basic auth username
  * @property {string} [password] - Basic auth password
  * @property {string} [token] - Bearer token
+ * @property {boolean} [monitor] - Poll in the background for badge and notifications (default true)
+ */
+
+/**
+ * @typedef {Object} NotificationRule
+ * @property {string} id - Unique identifier
+ * @property {string|null} instanceId - Instance the rule applies to, null for all
+ * @property {string} matchers - Matcher expression, e.g. `team="payments", severity=~"critical|warning"`
+ * @property {'notify'|'notify_sound'|'badge_only'|'ignore'} action
+ */
+
+/**
+ * @typedef {Object} SilenceTemplate
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {string} matchers - Matcher expression; quoted values may contain `{{label}}` placeholders
+ * @property {string} duration - Default duration, e.g. "2h"
+ * @property {string} comment - Comment, may contain `{{label}}` placeholders
+ */
+
+/**
+ * @typedef {Object} MaintenanceWindow
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {boolean} enabled
+ * @property {string} instanceId - Instance the silences are created on
+ * @property {number[]} days - Weekdays the window starts on, 0 = Sunday
+ * @property {string} start - "HH:MM"
+ * @property {string} end - "HH:MM"; at or before `start` means the next day
+ * @property {string} timeZone - IANA name, empty for the browser's zone
+ * @property {string} matchers - Matcher expression for the silence
+ * @property {string} comment - Silence comment, defaults to the window's name
+ */
+
+/**
+ * @typedef {Object} MaintenanceState
+ * @property {Array<{silenceId: string, instanceId: string, startsAt: number, endsAt: number}>} silences - Most recent first
+ * @property {string|null} error - Last failure, cleared by the next success
+ * @property {number|null} errorAt
  */
 
+/**
+ * @typedef {Object} SavedView
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {string} query - Search box text or matcher expression
+ * @property {{active: boolean, silenced: boolean, inhibited: boolean, acked: boolean}} states
+ * @property {string} severity - 'all' or a severity
+ * @property {string} groupBy - Group-by label, '' for no grouping
+ * @property {string} instanceId - Instance ID, or "__all__" for all instances
+ */
+
+// User-built lists are kept in sync items of their own, so together they
+// don't push `settings` past chrome.storage.sync's per-item quota
+const LIST_SETTINGS = ['notificationRules', 'savedViews', 'defaultViews', 'silenceTemplates', 'maintenanceWindows'];
+
 const Storage = {
   /**
    * Get all settings, merging with defaults.
    * @returns {Promise<Object>}
    */
   async getSettings() {
-    const data = await chrome.storage.sync.get('settings');
-    return { ...DEFAULT_SETTINGS, ...data.settings };
+    const data = await chrome.storage.sync.get(['settings', ...LIST_SETTINGS]);
+    const settings = { ...DEFAULT_SETTINGS, ...data.settings };
+    LIST_SETTINGS.forEach((key) => {
+      if (data[key] !== undefined) settings[key] = data[key];
+    });
+    return settings;
   },
 
   /**
    * Save settings (partial update supported).
    * @param {Object} partial
-   * @returns {Promise<void>}
+   * @returns {Promise<void>} - rejects if the sync storage quota is exceeded
    */
   async saveSettings(partial) {
-    const current = await this.getSettings();
-    const merged = { ...current, ...partial };
-    await chrome.storage.sync.set({ settings: merged });
+    const stored = await chrome.storage.sync.get(LIST_SETTINGS);
+    const merged = { ...(await this.getSettings()), ...partial };
+    const items = { settings: { ...merged } };
+    LIST_SETTINGS.forEach((key) => {
+      delete items.settings[key];
+      // Lists still inside `settings` from older versions move out on the first save
+      if (key in partial || stored[key] === undefined) items[key] = merged[key];
+    });
+    await chrome.storage.sync.set(items);
   },
 
   /**
@@ -184,6 +285,110 @@ const Storage = {
     });
   },
 
+  /**
+   * Remember the HA peer URL that last answered for an instance.
+   * @param {string} instanceId
+   * @param {string|null} url
+   * @returns {Promise<void>}
+   */
+  async setLastGoodPeer(instanceId, url) {
+    await chrome.storage.local.set({ [`peer_${instanceId}`]: url });
+  },
+
+  /**
+   * Get the HA peer URL that last answered for an instance.
+   * @param {string} instanceId
+   * @returns {Promise<string|null>}
+   */
+  async getLastGoodPeer(instanceId) {
+    const data = await chrome.storage.local.get(`peer_${instanceId}`);
+    return data[`peer_${instanceId}`] || null;
+  },
+
+  /**
+   * Get re-notification bookkeeping for an instance.
+   * @param {string} instanceId
+   * @returns {Promise<Object<string, {lastAt: number, count: number}>>} - keyed by fingerprint
+   */
+  async getNotifyState(instanceId) {
+    const data = await chrome.storage.local.get(`notify_${instanceId}`);
+    return data[`notify_${instanceId}`] || {};
+  },
+
+  /**
+   * Store re-notification bookkeeping for an instance.
+   * @param {string} instanceId
+   * @param {Object<string, {lastAt: number, count: number}>} state
+   * @returns {Promise<void>}
+   */
+  async setNotifyState(instanceId, state) {
+    await chrome.storage.local.set({ [`notify_${instanceId}`]: state });
+  },
+
+  /**
+   * Get local acknowledgements and snoozes for an instance.
+   * @param {string} instanceId
+   * @returns {Promise<Object<string, {type: 'ack'|'snooze', at: number, until?: number}>>} - keyed by fingerprint
+   */
+  async getAlertAcks(instanceId) {
+    const data = await chrome.storage.local.get(`acks_${instanceId}`);
+    return data[`acks_${instanceId}`] || {};
+  },
+
+  /**
+   * Acknowledge an alert locally. The acknowledgement lasts until the alert resolves.
+   * @param {string} instanceId
+   * @param {string} fingerprint
+   * @returns {Promise<void>}
+   */
+  async acknowledgeAlert(instanceId, fingerprint) {
+    const acks = await this.getAlertAcks(instanceId);
+    acks[fingerprint] = { type: 'ack', at: Date.now() };
+    await chrome.storage.local.set({ [`acks_${instanceId}`]: acks });
+  },
+
+  /**
+   * Snooze an alert locally for a number of minutes.
+   * @param {string} instanceId
+   * @param {string} fingerprint
+   * @param {number} minutes
+   * @returns {Promise<void>}
+   */
+  async snoozeAlert(instanceId, fingerprint, minutes) {
+    const acks = await this.getAlertAcks(instanceId);
+    const now = Date.now();
+    acks[fingerprint] = { type: 'snooze', at: now, until: now + minutes * 60 * 1000 };
+    await chrome.storage.local.set({ [`acks_${instanceId}`]: acks });
+  },
+
+  /**
+   * Remove an acknowledgement or snooze.
+   * @param {string} instanceId
+   * @param {string} fingerprint
+   * @returns {Promise<void>}
+   */
+  async clearAlertAck(instanceId, fingerprint) {
+    const acks = await this.getAlertAcks(instanceId);
+    delete acks[fingerprint];
+    await chrome.storage.local.set({ [`acks_${instanceId}`]: acks });
+  },
+
+  /**
+   * Drop acknowledgements of alerts that are no longer present, and expired snoozes.
+   * @param {string} instanceId
+   * @param {string[]} fingerprints - fingerprints currently reported
+   * @returns {Promise<void>}
+   */
+  async pruneAlertAcks(instanceId, fingerprints) {
+    const acks = await this.getAlertAcks(instanceId);
+    const current = new Set(fingerprints);
+    const now = Date.now();
+    const stale = Object.keys(acks).filter((fp) => !current.has(fp) || (acks[fp].until && acks[fp].until <= now));
+    if (stale.length === 0) return;
+    stale.forEach((fp) => delete acks[fp]);
+    await chrome.storage.local.set({ [`acks_${instanceId}`]: acks });
+  },
+
   /**
    * Get known alert fingerprints.
    * @param {string} instanceId
@@ -193,6 +398,80 @@ const Storage = {
     const data = await chrome.storage.local.get(`fingerprints_${instanceId}`);
     return data[`fingerprints_${instanceId}`] || [];
   },
+
+  /**
+   * Get the silences an expiry reminder was shown for.
+   * @param {string} instanceId
+   * @returns {Promise<Object<string, string>>} - silence ID → endsAt it was reminded about
+   */
+  async getExpiryReminders(instanceId) {
+    const data = await chrome.storage.local.get(`expiry_${instanceId}`);
+    return data[`expiry_${instanceId}`] || {};
+  },
+
+  /**
+   * Save the silences an expiry reminder was shown for.
+   * @param {string} instanceId
+   * @param {Object<string, string>} reminders
+   * @returns {Promise<void>}
+   */
+  async setExpiryReminders(instanceId, reminders) {
+    await chrome.storage.local.set({ [`expiry_${instanceId}`]: reminders });
+  },
+
+  /**
+   * Get the keys of alert groups the user collapsed in the popup.
+   * @returns {Promise<string[]>}
+   */
+  async getCollapsedGroups() {
+    const data = await chrome.storage.local.get('collapsedGroups');
+    return data.collapsedGroups || [];
+  },
+
+  /**
+   * Save the keys of collapsed alert groups.
+   * @param {string[]} keys
+   * @returns {Promise<void>}
+   */
+  async setCollapsedGroups(keys) {
+    await chrome.storage.local.set({ collapsedGroups: keys });
+  },
+
+  /**
+   * Get the popup's alert filters as they were last left.
+   * @returns {Promise<Object|null>} - view state, see SavedView
+   */
+  async getLastView() {
+    const data = await chrome.storage.local.get('lastView');
+    return data.lastView || null;
+  },
+
+  /**
+   * Remember the popup's alert filters for the next time it opens.
+   * @param {Object} view
+   * @returns {Promise<void>}
+   */
+  async setLastView(view) {
+    await chrome.storage.local.set({ lastView: view });
+  },
+
+  /**
+   * Get what the service worker did for each maintenance window.
+   * @returns {Promise<Object<string, MaintenanceState>>} - keyed by window ID
+   */
+  async getMaintenanceState() {
+    const data = await chrome.storage.local.get('maintenanceState');
+    return data.maintenanceState || {};
+  },
+
+  /**
+   * Save the maintenance window bookkeeping.
+   * @param {Object<string, MaintenanceState>} state
+   * @returns {Promise<void>}
+   */
+  async setMaintenanceState(state) {
+    await chrome.storage.local.set({ maintenanceState: state });
+  },
 };
 
 // Make available to both modules and non-module scripts
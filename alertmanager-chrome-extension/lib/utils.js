@@ -13,6 +13,25 @@ const Utils = {
     none: { color: '#6b7280', bg: '#f9fafb', icon: '⚪', order: 3 },
   },
 
+  /**
+   * Pseudo-label holding the name(s) of the Alertmanager instance(s) that
+   * reported an alert. "@" is not valid in real label names, so it cannot clash.
+   */
+  INSTANCE_LABEL: '@instance',
+
+  /**
+   * Get a label value, including pseudo-labels.
+   * @param {Object} alert
+   * @param {string} name
+   * @returns {string|undefined}
+   */
+  getLabel(alert, name) {
+    if (name === this.INSTANCE_LABEL) {
+      return alert._instances?.map((i) => i.name).join(', ') || undefined;
+    }
+    return alert.labels?.[name];
+  },
+
   /**
    * Get severity display properties.
    * @param {string} severity
@@ -56,6 +75,312 @@ const Utils = {
     return new Date(dateStr).toLocaleString();
   },
 
+  /**
+   * Parse a duration string such as "1h30m" or "2d" into milliseconds.
+   * Supported units: w, d, h, m, s.
+   * @param {string} str
+   * @returns {number|null} - null if the string is not a valid duration
+   */
+  parseDuration(str) {
+    const match = /^(?:(\d+)w)?(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(
+      String(str || '').replace(/\s+/g, '')
+    );
+    if (!match || !match[0]) return null;
+    const [, w, d, h, m, s] = match.map((v) => parseInt(v, 10) || 0);
+    return ((((w * 7 + d) * 24 + h) * 60 + m) * 60 + s) * 1000;
+  },
+
+  /**
+   * Format milliseconds as a compact duration string (e.g. "1d2h30m").
+   * The output can be parsed back with parseDuration.
+   * @param {number} ms
+   * @returns {string}
+   */
+  formatDuration(ms) {
+    let seconds = Math.max(0, Math.round(ms / 1000));
+    const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+    let out = '';
+    units.forEach(([unit, size]) => {
+      const n = Math.floor(seconds / size);
+      if (n > 0) {
+        out += `${n}${unit}`;
+        seconds -= n * size;
+      }
+    });
+    return out || '0s';
+  },
+
+  /**
+   * Get the operator string for an Alertmanager matcher object.
+   * @param {{isRegex: boolean, isEqual?: boolean}} matcher
+   * @returns {'='|'!='|'=~'|'!~'}
+   */
+  matcherOperator(matcher) {
+    const isEqual = matcher.isEqual !== false;
+    if (matcher.isRegex) return isEqual ? '=~' : '!~';
+    return isEqual ? '=' : '!=';
+  },
+
+  /**
+   * Check whether a label set satisfies every matcher, using Alertmanager
+   * semantics: regexes are fully anchored and a missing label matches as "".
+   * @param {Object} labels
+   * @param {Array<{name: string, value: string, isRegex: boolean, isEqual?: boolean}>} matchers
+   * @returns {boolean}
+   * @throws {SyntaxError} if a regex matcher is invalid
+   */
+  matchesMatchers(labels, matchers) {
+    return matchers.every((m) => {
+      const value = labels?.[m.name] ?? '';
+      const matched = m.isRegex ? new RegExp(`^(?:${m.value})$`).test(value) : value === m.value;
+      return m.isEqual !== false ? matched : !matched;
+    });
+  },
+
+  /**
+   * Parse an Alertmanager matcher expression such as
+   * `{team="payments", severity=~"critical|warning"}` into matcher objects.
+   * Braces are optional, values may be quoted (with \\" escapes) or bare.
+   * @param {string} input
+   * @returns {Array<{name: string, value: string, isRegex: boolean, isEqual: boolean}>}
+   * @throws {SyntaxError} describing the first problem found
+   */
+  parseMatchers(input) {
+    let str = String(input || '').trim();
+    if (str.startsWith('{')) {
+      if (!str.endsWith('}')) throw new SyntaxError('Missing closing "}"');
+      str = str.slice(1, -1);
+    }
+
+    const matchers = [];
+    let pos = 0;
+    const skipSpace = () => {
+      while (pos < str.length && /\s/.test(str[pos])) pos++;
+    };
+    const readQuoted = () => {
+      let out = '';
+      pos++;
+      while (pos < str.length && str[pos] !== '"') {
+        if (str[pos] === '\\' && pos + 1 < str.length) {
+          pos++;
+          out += str[pos] === 'n' ? '\n' : str[pos];
+        } else {
+          out += str[pos];
+        }
+        pos++;
+      }
+      if (pos >= str.length) throw new SyntaxError('Unterminated quoted string');
+      pos++;
+      return out;
+    };
+
+    for (skipSpace(); pos < str.length; skipSpace()) {
+      let name;
+      if (str[pos] === '"') {
+        name = readQuoted();
+      } else {
+        name = /^[^\s=!~,"{}]*/.exec(str.slice(pos))[0];
+        pos += name.length;
+      }
+      if (!name) throw new SyntaxError(`Expected a label name at position ${pos + 1}`);
+
+      skipSpace();
+      const op = /^(=~|!~|!=|=)/.exec(str.slice(pos));
+      if (!op) throw new SyntaxError(`Expected =, !=, =~ or !~ after "${name}"`);
+      pos += op[0].length;
+
+      skipSpace();
+      let value;
+      if (str[pos] === '"') {
+        value = readQuoted();
+      } else {
+        const bare = /^[^,"{}]*/.exec(str.slice(pos))[0];
+        pos += bare.length;
+        value = bare.trim();
+      }
+
+      const matcher = { name, value, isRegex: op[0].includes('~'), isEqual: op[0][0] === '=' };
+      if (matcher.isRegex) {
+        try {
+          new RegExp(`^(?:${value})$`);
+        } catch {
+          throw new SyntaxError(`Invalid regex for "${name}": ${value}`);
+        }
+      }
+      matchers.push(matcher);
+
+      skipSpace();
+      if (pos < str.length) {
+        if (str[pos] !== ',') throw new SyntaxError(`Expected "," at position ${pos + 1}`);
+        pos++;
+      }
+    }
+
+    return matchers;
+  },
+
+  /**
+   * Check whether search input is meant as a matcher expression rather than
+   * free text, e.g. `{env="prod"}` or `instance!~canary.*`.
+   * @param {string} query
+   * @returns {boolean}
+   */
+  looksLikeMatcher(query) {
+    return /^\s*(\{|("[^"]*"|[^\s=!~,"{}]+)\s*(=~|!~|!=|=))/.test(String(query || ''));
+  },
+
+  /**
+   * Format a matcher object in Alertmanager syntax, e.g. `job=~"api.*"`.
+   * The output can be parsed back with parseMatchers.
+   * @param {{name: string, value: string, isRegex: boolean, isEqual?: boolean}} matcher
+   * @returns {string}
+   */
+  formatMatcher(matcher) {
+    const name = /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(matcher.name) ? matcher.name : JSON.stringify(matcher.name);
+    return `${name}${this.matcherOperator(matcher)}${JSON.stringify(String(matcher.value))}`;
+  },
+
+  /**
+   * Replace `{{name}}` placeholders with values, leaving unknown ones in place.
+   * @param {string} text
+   * @param {Object} values - placeholder name → value
+   * @param {function(string): string} [transform] - applied to each substituted value
+   * @returns {string}
+   */
+  fillPlaceholders(text, values, transform = (v) => v) {
+    return String(text ?? '').replace(/\{\{\s*([^{}\s]+)\s*\}\}/g, (placeholder, name) =>
+      Object.hasOwn(values, name) ? transform(String(values[name])) : placeholder
+    );
+  },
+
+  /**
+   * Names of the `{{name}}` placeholders in a text.
+   * @param {string} text
+   * @returns {string[]}
+   */
+  findPlaceholders(text) {
+    return [...String(text ?? '').matchAll(/\{\{\s*([^{}\s]+)\s*\}\}/g)].map((m) => m[1]);
+  },
+
+  /**
+   * Fill a silence template's placeholders with label values. Values put into
+   * regex matchers are escaped so they match literally.
+   * @param {{matchers: string, duration: string, comment: string}} template
+   * @param {Object} values - label name → value
+   * @returns {{matchers: Array, duration: string, comment: string}}
+   * @throws {SyntaxError} if the template's matchers cannot be parsed
+   */
+  applySilenceTemplate(template, values) {
+    return {
+      matchers: this.parseMatchers(template.matchers).map((m) => ({
+        ...m,
+        value: this.fillPlaceholders(m.value, values, m.isRegex ? (v) => this.escapeRegex(v) : undefined),
+      })),
+      duration: template.duration,
+      comment: this.fillPlaceholders(template.comment, values),
+    };
+  },
+
+  /**
+   * Labels every alert has with the same value.
+   * @param {Array} alerts
+   * @returns {Object}
+   */
+  commonLabels(alerts) {
+    if (alerts.length === 0) return {};
+    const [first, ...rest] = alerts;
+    return Object.fromEntries(
+      Object.entries(first.labels || {}).filter(([name, value]) => rest.every((a) => a.labels?.[name] === value))
+    );
+  },
+
+  /**
+   * Filter alerts by matchers. The @instance pseudo-label matches if any
+   * instance reporting the alert matches.
+   * @param {Array} alerts
+   * @param {Array} matchers - from parseMatchers
+   * @returns {Array}
+   */
+  filterByMatchers(alerts, matchers) {
+    const instanceMatchers = matchers.filter((m) => m.name === this.INSTANCE_LABEL);
+    const labelMatchers = matchers.filter((m) => m.name !== this.INSTANCE_LABEL);
+    return alerts.filter((alert) => {
+      if (!this.matchesMatchers(alert.labels, labelMatchers)) return false;
+      if (instanceMatchers.length === 0) return true;
+      const names = alert._instances?.map((i) => i.name) || [''];
+      return names.some((name) => this.matchesMatchers({ [this.INSTANCE_LABEL]: name }, instanceMatchers));
+    });
+  },
+
+  /**
+   * Count how often each label name and value occurs in alerts and in the
+   * equality matchers of silences, for autocomplete.
+   * @param {Array} alerts
+   * @param {Array} [silences=[]]
+   * @returns {Object<string, {count: number, values: Object<string, number>}>}
+   */
+  collectLabelStats(alerts, silences = []) {
+    const stats = {};
+    const add = (name, value) => {
+      const entry = stats[name] || (stats[name] = { count: 0, values: {} });
+      entry.count++;
+      entry.values[value] = (entry.values[value] || 0) + 1;
+    };
+    alerts.forEach((alert) => Object.entries(alert.labels || {}).forEach(([name, value]) => add(name, value)));
+    silences.forEach((silence) => {
+      (silence.matchers || [])
+        .filter((m) => !m.isRegex && m.isEqual !== false)
+        .forEach((m) => add(m.name, m.value));
+    });
+    return stats;
+  },
+
+  /**
+   * Rank autocomplete candidates containing the typed text: prefix matches
+   * first, then by how often they occur.
+   * @param {Object<string, number>} counts - candidate → occurrences
+   * @param {string} typed
+   * @param {number} [limit=8]
+   * @returns {Array<{value: string, count: number}>}
+   */
+  rankSuggestions(counts, typed, limit = 8) {
+    const q = String(typed || '').toLowerCase();
+    return Object.entries(counts)
+      .map(([value, count]) => ({ value, count, pos: value.toLowerCase().indexOf(q) }))
+      .filter((c) => c.pos !== -1)
+      .sort((a, b) => (b.pos === 0) - (a.pos === 0) || b.count - a.count || a.value.localeCompare(b.value))
+      .slice(0, limit)
+      .map(({ value, count }) => ({ value, count }));
+  },
+
+  /**
+   * Find the first notification rule that applies to an alert.
+   * Rules with an unparseable matcher expression are skipped.
+   * @param {Array<{instanceId: string|null, matchers: string, action: string}>} rules
+   * @param {string} instanceId
+   * @param {Object} labels
+   * @returns {Object|null} - the matching rule
+   */
+  findNotificationRule(rules, instanceId, labels) {
+    return (rules || []).find((rule) => {
+      if (rule.instanceId && rule.instanceId !== instanceId) return false;
+      try {
+        return this.matchesMatchers(labels, this.parseMatchers(rule.matchers));
+      } catch {
+        return false;
+      }
+    }) || null;
+  },
+
+  /**
+   * Escape a literal string for use inside a regex matcher.
+   * @param {string} str
+   * @returns {string}
+   */
+  escapeRegex(str) {
+    return String(str || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  },
+
   /**
    * Group alerts by a specific label.
    * @param {Array} alerts
@@ -65,13 +390,52 @@ const Utils = {
   groupAlerts(alerts, groupBy = 'alertname') {
     const groups = {};
     alerts.forEach((alert) => {
-      const key = alert.labels?.[groupBy] || 'Unknown';
+      const key = this.getLabel(alert, groupBy) || 'Unknown';
       if (!groups[key]) groups[key] = [];
       groups[key].push(alert);
     });
     return groups;
   },
 
+  /**
+   * Group alerts by several labels in turn, e.g. cluster → namespace → alertname.
+   * Groups are ordered by their most severe alert, then by name.
+   * @param {Array} alerts
+   * @param {string[]} labels - one label name per level
+   * @param {string} [parentKey=''] - key of the enclosing group
+   * @returns {Array<{key: string, label: string, value: string, alerts: Array, children: Array}>}
+   *   - `key` identifies the group across renders; `children` is empty on the last level
+   */
+  groupAlertsNested(alerts, labels, parentKey = '') {
+    if (labels.length === 0) return [];
+    const [label, ...rest] = labels;
+    return Object.entries(this.groupAlerts(alerts, label))
+      .map(([value, groupAlerts]) => {
+        const key = `${parentKey}${parentKey ? '/' : ''}${label}=${value}`;
+        return { key, label, value, alerts: groupAlerts, children: this.groupAlertsNested(groupAlerts, rest, key) };
+      })
+      .sort((a, b) => {
+        const order = (g) => Math.min(...g.alerts.map((al) => this.getSeverity(al.labels?.severity).order));
+        return order(a) - order(b) || a.value.localeCompare(b.value);
+      });
+  },
+
+  /**
+   * Count alerts per severity, most severe first.
+   * @param {Array} alerts
+   * @returns {Array<{severity: string, count: number}>}
+   */
+  countBySeverity(alerts) {
+    const counts = {};
+    alerts.forEach((alert) => {
+      const severity = this.SEVERITY[alert.labels?.severity?.toLowerCase()] ? alert.labels.severity.toLowerCase() : 'none';
+      counts[severity] = (counts[severity] || 0) + 1;
+    });
+    return Object.keys(this.SEVERITY)
+      .filter((severity) => counts[severity])
+      .map((severity) => ({ severity, count: counts[severity] }));
+  },
+
   /**
    * Sort alerts by severity and then by start time.
    * @param {Array} alerts
@@ -97,8 +461,10 @@ const Utils = {
     if (!query || !query.trim()) return alerts;
     const q = query.toLowerCase().trim();
     return alerts.filter((alert) => {
+      const instance = this.getLabel(alert, this.INSTANCE_LABEL);
       const labels = Object.entries(alert.labels || {})
         .map(([k, v]) => `${k}=${v}`)
+        .concat(instance ? [`${this.INSTANCE_LABEL}=${instance}`] : [])
         .join(' ')
         .toLowerCase();
       const annotations = Object.values(alert.annotations || {}).join(' ').toLowerCase();
@@ -106,6 +472,34 @@ const Utils = {
     });
   },
 
+  /**
+   * Search silences. Free text matches the comment, creator, ID and matchers;
+   * a matcher expression such as `job=~"api.*"` keeps silences with a matcher
+   * on each queried label whose value satisfies it.
+   * @param {Array} silences
+   * @param {string} query
+   * @returns {Array}
+   * @throws {SyntaxError} if a matcher expression cannot be parsed
+   */
+  searchSilences(silences, query) {
+    if (!query || !query.trim()) return silences;
+
+    if (this.looksLikeMatcher(query)) {
+      const wanted = this.parseMatchers(query);
+      return silences.filter((silence) =>
+        wanted.every((w) => (silence.matchers || []).some((m) => m.name === w.name && this.matchesMatchers({ [w.name]: m.value }, [w])))
+      );
+    }
+
+    const q = query.toLowerCase().trim();
+    return silences.filter((silence) =>
+      [silence.comment, silence.createdBy, silence.id, ...(silence.matchers || []).map((m) => this.formatMatcher(m))]
+        .join(' ')
+        .toLowerCase()
+        .includes(q)
+    );
+  },
+
   /**
    * Filter alerts by state.
    * @param {Array} alerts
@@ -154,6 +548,142 @@ const Utils = {
     return alerts.filter((a) => a.status?.state === 'active').length;
   },
 
+  /**
+   * Parse a "HH:MM" clock time into minutes after midnight.
+   * @param {string} str
+   * @returns {number|null} - null if the string is not a valid time
+   */
+  parseClock(str) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(str || '').trim());
+    if (!match) return null;
+    const [hours, minutes] = [Number(match[1]), Number(match[2])];
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+  },
+
+  /**
+   * Check whether a string names a time zone the browser knows.
+   * @param {string} timeZone
+   * @returns {boolean}
+   */
+  isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  /**
+   * Get the weekday and time of day of a moment in a time zone.
+   * @param {Date} date
+   * @param {string} [timeZone] - IANA name; the browser's zone when empty
+   * @returns {{day: number, minutes: number}} - day 0 = Sunday, minutes after midnight
+   */
+  zonedTime(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      weekday: 'short',
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23',
+    }).formatToParts(date);
+    const get = (type) => parts.find((p) => p.type === type)?.value;
+    return {
+      day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday')),
+      minutes: Number(get('hour')) * 60 + Number(get('minute')),
+    };
+  },
+
+  /**
+   * Find the next occurrence of a weekly time window, or the current one if
+   * it is in progress.
+   * @param {{days: number[], start: string, end: string, timeZone?: string}} schedule
+   * @param {number} [now=Date.now()]
+   * @returns {{startsAt: number, endsAt: number}|null} - epoch ms; null if the window never occurs
+   */
+  nextWeeklyWindow(schedule, now = Date.now()) {
+    const start = this.parseClock(schedule.start);
+    const end = this.parseClock(schedule.end);
+    if (start === null || end === null || !schedule.days?.length) return null;
+
+    const timeZone = schedule.timeZone || undefined;
+    const base = Math.floor(now / 60000) * 60000;
+    const today = this.zonedTime(new Date(base), timeZone);
+    const at = (dayOffset, minutes) => {
+      const time = base + (dayOffset * 1440 + minutes - today.minutes) * 60000;
+      // Correct for a daylight saving change in between
+      const drift = this.zonedTime(new Date(time), timeZone).minutes - minutes;
+      return time - ((((drift % 1440) + 1440 + 720) % 1440) - 720) * 60000;
+    };
+
+    // Starting from yesterday catches a window that wrapped past midnight
+    for (let offset = -1; offset <= 7; offset++) {
+      if (!schedule.days.includes((today.day + offset + 7) % 7)) continue;
+      const startsAt = at(offset, start);
+      // An end at or before the start runs into the next day
+      const endsAt = at(end > start ? offset : offset + 1, end);
+      if (endsAt > now) return { startsAt, endsAt };
+    }
+    return null;
+  },
+
+  /**
+   * Explain why notifications are currently held back by the quiet hours or
+   * on-call schedule settings, if they are.
+   * @param {{quietHours: Object, onCall: Object}} settings
+   * @param {Date} [now=new Date()]
+   * @returns {string|null} - null when notifications are allowed
+   */
+  getQuietReason(settings, now = new Date()) {
+    const { quietHours, onCall } = settings;
+    const timeZone = quietHours?.timeZone || undefined;
+    const { day, minutes } = this.zonedTime(now, timeZone);
+
+    if (onCall?.enabled && !onCall.days.includes(day)) return 'Not on call today';
+
+    if (quietHours?.enabled) {
+      if (!quietHours.days.includes(day)) return 'Outside notification days';
+      const start = this.parseClock(quietHours.start);
+      const end = this.parseClock(quietHours.end);
+      if (start !== null && end !== null && start !== end) {
+        // A window such as 22:00–06:00 wraps past midnight
+        const inside = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+        if (!inside) return 'Outside notification hours';
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Check whether an alert matches the quiet hours override, so it is
+   * notified even while notifications are held back.
+   * @param {{quietHours: Object}} settings
+   * @param {Object} labels
+   * @returns {boolean}
+   */
+  isQuietOverride(settings, labels) {
+    const expression = settings.quietHours?.override?.trim();
+    if (!expression) return false;
+    try {
+      return this.matchesMatchers(labels, this.parseMatchers(expression));
+    } catch {
+      return false;
+    }
+  },
+
+  /**
+   * Check whether a local acknowledgement or snooze is in effect.
+   * @param {{type: string, until?: number}|undefined} ack
+   * @param {number} [now=Date.now()]
+   * @returns {boolean}
+   */
+  isAckActive(ack, now = Date.now()) {
+    if (!ack) return false;
+    return ack.type === 'ack' || ack.until > now;
+  },
+
   /**
    * Escape HTML to prevent XSS.
    * @param {string} str
@@ -206,6 +736,19 @@ const Utils = {
     const end = new Date(silence.endsAt).getTime();
     return now >= start && now <= end;
   },
+
+  /**
+   * Check whether an active silence ends within the given number of minutes.
+   * @param {Object} silence
+   * @param {number} minutes - 0 never counts as expiring
+   * @param {number} [now=Date.now()]
+   * @returns {boolean}
+   */
+  isSilenceExpiringSoon(silence, minutes, now = Date.now()) {
+    if (!minutes || silence.status?.state !== 'active') return false;
+    const end = new Date(silence.endsAt).getTime();
+    return end > now && end - now <= minutes * 60 * 1000;
+  },
 };
 
 if (typeof globalThis !== 'undefined') {
@@ -0,0 +1,256 @@
+/**
+ * Minimal YAML Parser
+ * Covers the subset Alertmanager uses when it prints its configuration
+ * (`config.original` from /api/v2/status): block mappings and sequences,
+ * single-line flow collections, quoted and plain scalars, block scalars and
+ * comments. Anchors, aliases, tags and multi-document streams are not supported.
+ */
+
+const YAML = {
+  /**
+   * Parse a YAML document.
+   * @param {string} text
+   * @returns {*} - plain objects, arrays and scalars
+   * @throws {SyntaxError} with the offending line number
+   */
+  parse(text) {
+    const state = { lines: String(text || '').replace(/\r\n?/g, '\n').split('\n'), pos: 0 };
+    this._skipBlank(state);
+    if (state.pos >= state.lines.length) return null;
+
+    const value = this._parseNode(state, this._indentOf(state.lines[state.pos]));
+    this._skipBlank(state);
+    if (state.pos < state.lines.length) {
+      throw new SyntaxError(`Unexpected indentation at line ${state.pos + 1}`);
+    }
+    return value;
+  },
+
+  _indentOf(line) {
+    return line.match(/^ */)[0].length;
+  },
+
+  _isBlank(line) {
+    return /^\s*(#.*)?$/.test(line) || line.trim() === '---';
+  },
+
+  _skipBlank(state) {
+    while (state.pos < state.lines.length && this._isBlank(state.lines[state.pos])) state.pos++;
+  },
+
+  /**
+   * Parse the block node starting at the current line.
+   * @param {Object} state - { lines, pos }
+   * @param {number} indent - indentation of the node
+   * @returns {*}
+   */
+  _parseNode(state, indent) {
+    const content = state.lines[state.pos].slice(indent);
+    if (/^-(\s|$)/.test(content)) return this._parseSequence(state, indent);
+    if (this._splitKey(content)) return this._parseMapping(state, indent);
+    state.pos++;
+    return this._parseInline(this._stripComment(content), state.pos);
+  },
+
+  _parseSequence(state, indent) {
+    const items = [];
+    while (state.pos < state.lines.length) {
+      const line = state.lines[state.pos];
+      if (this._indentOf(line) !== indent || !/^-(\s|$)/.test(line.slice(indent))) break;
+
+      const rest = line.slice(indent + 1);
+      const offset = rest.match(/^ */)[0].length;
+      if (!this._stripComment(rest).trim()) {
+        state.pos++;
+        items.push(this._parseChild(state, indent));
+      } else {
+        // Re-read "- key: value" as a mapping indented past the dash
+        state.lines[state.pos] = ' '.repeat(indent + 1 + offset) + rest.slice(offset);
+        items.push(this._parseNode(state, indent + 1 + offset));
+      }
+      this._skipBlank(state);
+    }
+    return items;
+  },
+
+  _parseMapping(state, indent) {
+    const map = {};
+    while (state.pos < state.lines.length) {
+      const line = state.lines[state.pos];
+      if (this._indentOf(line) !== indent) break;
+
+      const entry = this._splitKey(line.slice(indent));
+      if (!entry) break;
+      const lineNo = state.pos + 1;
+      const rest = this._stripComment(entry.rest).trim();
+      state.pos++;
+
+      if (!rest) {
+        map[entry.key] = this._parseChild(state, indent, true);
+      } else if (/^[|>][-+]?$/.test(rest)) {
+        map[entry.key] = this._parseBlockScalar(state, indent, rest);
+      } else {
+        map[entry.key] = this._parseInline(rest, lineNo);
+      }
+      this._skipBlank(state);
+    }
+    return map;
+  },
+
+  /**
+   * Parse the value nested under a "key:" or "-" line.
+   * @param {Object} state
+   * @param {number} indent - indentation of the parent line
+   * @param {boolean} [allowCompactSequence=false] - allow "- item" at the parent's indentation
+   * @returns {*}
+   */
+  _parseChild(state, indent, allowCompactSequence = false) {
+    this._skipBlank(state);
+    if (state.pos >= state.lines.length) return null;
+    const line = state.lines[state.pos];
+    const childIndent = this._indentOf(line);
+    if (childIndent > indent) return this._parseNode(state, childIndent);
+    if (allowCompactSequence && childIndent === indent && /^-(\s|$)/.test(line.slice(indent))) {
+      return this._parseSequence(state, indent);
+    }
+    return null;
+  },
+
+  _parseBlockScalar(state, indent, header) {
+    const lines = [];
+    let blockIndent = null;
+    while (state.pos < state.lines.length) {
+      const line = state.lines[state.pos];
+      if (line.trim()) {
+        const lineIndent = this._indentOf(line);
+        if (lineIndent <= indent) break;
+        if (blockIndent === null) blockIndent = lineIndent;
+        if (lineIndent < blockIndent) break;
+      }
+      lines.push(line.slice(blockIndent ?? 0));
+      state.pos++;
+    }
+    // Trailing blank lines belong to the chomping indicator, not the content
+    while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+
+    let text = header[0] === '|'
+      ? lines.join('\n')
+      : lines.join('\n').replace(/([^\n])\n(?=[^\n ])/g, '$1 ');
+    if (header.endsWith('-')) return text;
+    text += '\n';
+    return text === '\n' ? '' : text;
+  },
+
+  /**
+   * Split "key: rest" outside quotes.
+   * @param {string} content
+   * @returns {{key: string, rest: string}|null}
+   */
+  _splitKey(content) {
+    const match = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{[\]},:-][^#]*?|-[^\s#][^#]*?)\s*:(?:\s+|$)(.*)$/.exec(content);
+    if (!match) return null;
+    return { key: String(this._parseScalar(match[1])), rest: match[2] };
+  },
+
+  _stripComment(str) {
+    let quote = null;
+    for (let i = 0; i < str.length; i++) {
+      const ch = str[i];
+      if (quote) {
+        if (ch === '\\' && quote === '"') i++;
+        else if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '#' && (i === 0 || /\s/.test(str[i - 1]))) {
+        return str.slice(0, i);
+      }
+    }
+    return str;
+  },
+
+  _parseInline(str, lineNo) {
+    const text = str.trim();
+    if (text.startsWith('[') || text.startsWith('{')) {
+      const state = { text, pos: 0, lineNo };
+      const value = this._parseFlow(state);
+      if (state.text.slice(state.pos).trim()) throw new SyntaxError(`Unexpected content after flow collection at line ${lineNo}`);
+      return value;
+    }
+    return this._parseScalar(text);
+  },
+
+  _parseFlow(state) {
+    const skip = () => {
+      while (state.pos < state.text.length && /\s/.test(state.text[state.pos])) state.pos++;
+    };
+    const readScalar = () => {
+      skip();
+      const ch = state.text[state.pos];
+      if (ch === '[' || ch === '{') return this._parseFlow(state);
+      let end = state.pos;
+      if (ch === '"' || ch === "'") {
+        end++;
+        while (end < state.text.length && state.text[end] !== ch) end += state.text[end] === '\\' && ch === '"' ? 2 : 1;
+        end++;
+      } else {
+        // A colon only ends a plain scalar when followed by a space, as in "key: value"
+        while (end < state.text.length && !/[,\]}]/.test(state.text[end]) && !/^:(\s|$)/.test(state.text.slice(end, end + 2))) end++;
+      }
+      const raw = state.text.slice(state.pos, end);
+      state.pos = end;
+      return this._parseScalar(raw.trim());
+    };
+
+    const open = state.text[state.pos];
+    const close = open === '[' ? ']' : '}';
+    const result = open === '[' ? [] : {};
+    state.pos++;
+
+    for (;;) {
+      skip();
+      if (state.text[state.pos] === close) {
+        state.pos++;
+        return result;
+      }
+      if (state.pos >= state.text.length) throw new SyntaxError(`Unterminated flow collection at line ${state.lineNo}`);
+
+      if (open === '[') {
+        result.push(readScalar());
+      } else {
+        const key = readScalar();
+        skip();
+        if (state.text[state.pos] !== ':') throw new SyntaxError(`Expected ":" in flow mapping at line ${state.lineNo}`);
+        state.pos++;
+        result[String(key)] = readScalar();
+      }
+
+      skip();
+      if (state.text[state.pos] === ',') state.pos++;
+      else if (state.text[state.pos] !== close) throw new SyntaxError(`Expected "," or "${close}" at line ${state.lineNo}`);
+    }
+  },
+
+  _parseScalar(text) {
+    if (text.startsWith('"')) {
+      if (!text.endsWith('"') || text.length < 2) throw new SyntaxError(`Invalid double-quoted string: ${text}`);
+      const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', 0: '\0', '"': '"', '\\': '\\', '/': '/', ' ': ' ' };
+      return text.slice(1, -1).replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (m, esc) => {
+        if (esc.length > 1) return String.fromCodePoint(parseInt(esc.slice(1), 16));
+        return escapes[esc] ?? esc;
+      });
+    }
+    if (text.startsWith("'")) {
+      if (!text.endsWith("'") || text.length < 2) throw new SyntaxError(`Invalid single-quoted string: ${text}`);
+      return text.slice(1, -1).replace(/''/g, "'");
+    }
+    if (text === '' || text === '~' || /^null$/i.test(text)) return null;
+    if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+    if (/^[-+]?\d+$/.test(text)) return parseInt(text, 10);
+    if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+    return text;
+  },
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.YAML = YAML;
+}
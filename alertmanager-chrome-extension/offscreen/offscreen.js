@@ -0,0 +1,56 @@
+/**
+ * Offscreen sound player. Service workers cannot play audio, so the service
+ * worker opens this document and drives it with runtime messages.
+ */
+(function () {
+  'use strict';
+
+  // key → playing <audio> element
+  const players = new Map();
+
+  function stop(key) {
+    const audio = players.get(key);
+    if (!audio) return;
+    audio.pause();
+    players.delete(key);
+  }
+
+  /**
+   * @returns {Promise<void>} - settles once playback started or failed
+   */
+  function play({ key, src, volume, loop }) {
+    // A looping alarm keeps going; don't restart it on every repeat notification
+    if (players.get(key)?.loop) return Promise.resolve();
+    stop(key);
+
+    const audio = new Audio(chrome.runtime.getURL(src));
+    audio.volume = Math.min(1, Math.max(0, volume));
+    audio.loop = loop;
+    audio.addEventListener('ended', () => players.delete(key));
+    players.set(key, audio);
+    return audio.play().catch((err) => {
+      console.error('[Alertmanager Monitor] Sound playback failed:', err.message);
+      players.delete(key);
+      throw err;
+    });
+  }
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message?.target !== 'offscreen') return;
+
+    switch (message.action) {
+      case 'play':
+        play(message)
+          .then(() => sendResponse({ success: true }))
+          .catch((err) => sendResponse({ success: false, error: err.message }));
+        return true;
+      case 'keepLooping':
+        // Stop every alarm that is no longer in the list of unacknowledged alerts
+        [...players.keys()]
+          .filter((key) => players.get(key).loop && !message.keys.includes(key))
+          .forEach(stop);
+        sendResponse({ success: true });
+        break;
+    }
+  });
+})();
@@ -12,18 +12,27 @@
     formInstanceId: $('#formInstanceId'),
     formName: $('#formName'),
     formUrl: $('#formUrl'),
+    formPeerUrls: $('#formPeerUrls'),
     formAuthType: $('#formAuthType'),
     basicAuthFields: $('#basicAuthFields'),
     bearerAuthFields: $('#bearerAuthFields'),
     formUsername: $('#formUsername'),
     formPassword: $('#formPassword'),
     formToken: $('#formToken'),
+    formMonitor: $('#formMonitor'),
     formError: $('#formError'),
     formCancelBtn: $('#formCancelBtn'),
     formSaveBtn: $('#formSaveBtn'),
     pollInterval: $('#pollInterval'),
+    historyRetentionDays: $('#historyRetentionDays'),
     enableBadge: $('#enableBadge'),
     enableNotifications: $('#enableNotifications'),
+    notificationSilenceDuration: $('#notificationSilenceDuration'),
+    silenceExpiryMinutes: $('#silenceExpiryMinutes'),
+    silenceCreatedBy: $('#silenceCreatedBy'),
+    renotifyCritical: $('#renotifyCritical'),
+    renotifyWarning: $('#renotifyWarning'),
+    renotifyInfo: $('#renotifyInfo'),
     defActive: $('#defActive'),
     defSilenced: $('#defSilenced'),
     defInhibited: $('#defInhibited'),
@@ -40,8 +49,41 @@
     importCredentialsWarning: $('#importCredentialsWarning'),
     importCancelBtn: $('#importCancelBtn'),
     importConfirmBtn: $('#importConfirmBtn'),
+    clearHistoryBtn: $('#clearHistoryBtn'),
+    ruleList: $('#ruleList'),
+    soundEnabled: $('#soundEnabled'),
+    soundVolume: $('#soundVolume'),
+    soundVolumeValue: $('#soundVolumeValue'),
+    soundLoopCritical: $('#soundLoopCritical'),
+    quietEnabled: $('#quietEnabled'),
+    quietStart: $('#quietStart'),
+    quietEnd: $('#quietEnd'),
+    quietDays: $('#quietDays'),
+    quietTimeZone: $('#quietTimeZone'),
+    timeZoneList: $('#timeZoneList'),
+    quietOverride: $('#quietOverride'),
+    onCallEnabled: $('#onCallEnabled'),
+    onCallDays: $('#onCallDays'),
+    addRuleBtn: $('#addRuleBtn'),
+    templateList: $('#templateList'),
+    addTemplateBtn: $('#addTemplateBtn'),
+    maintenanceList: $('#maintenanceList'),
+    addMaintenanceBtn: $('#addMaintenanceBtn'),
   };
 
+  const RULE_ACTIONS = [
+    { value: 'notify_sound', label: 'Notify with sound' },
+    { value: 'notify', label: 'Notify silently' },
+    { value: 'badge_only', label: 'Badge only' },
+    { value: 'ignore', label: 'Ignore' },
+  ];
+
+  const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  let notificationRules = [];
+  let silenceTemplates = [];
+  let maintenanceWindows = [];
+
   function showToast(message, type) {
     dom.toast.textContent = message;
     dom.toast.className = `toast show ${type}`;
@@ -53,10 +95,12 @@
     dom.formInstanceId.value = instance?.id || '';
     dom.formName.value = instance?.name || '';
     dom.formUrl.value = instance?.url || '';
+    dom.formPeerUrls.value = (instance?.peerUrls || []).join('\n');
     dom.formAuthType.value = instance?.authType || 'none';
     dom.formUsername.value = instance?.username || '';
     dom.formPassword.value = instance?.password || '';
     dom.formToken.value = instance?.token || '';
+    dom.formMonitor.checked = instance?.monitor !== false;
     dom.formError.textContent = '';
     updateAuthFields();
     dom.formOverlay.classList.add('show');
@@ -77,6 +121,7 @@
     dom.formError.textContent = '';
     dom.formName.classList.remove('invalid');
     dom.formUrl.classList.remove('invalid');
+    dom.formPeerUrls.classList.remove('invalid');
 
     const name = dom.formName.value.trim();
     const url = dom.formUrl.value.trim();
@@ -100,10 +145,26 @@
       return null;
     }
 
+    const peerUrls = dom.formPeerUrls.value
+      .split('\n')
+      .map((u) => u.trim())
+      .filter(Boolean);
+    for (const peerUrl of peerUrls) {
+      try {
+        new URL(peerUrl);
+      } catch {
+        dom.formPeerUrls.classList.add('invalid');
+        dom.formError.textContent = `Invalid peer URL "${peerUrl}"`;
+        return null;
+      }
+    }
+
     const instance = {
       name,
       url: url.replace(/\/+$/, ''),
+      peerUrls: peerUrls.map((u) => u.replace(/\/+$/, '')),
       authType: dom.formAuthType.value,
+      monitor: dom.formMonitor.checked,
     };
 
     if (instance.authType === 'basic') {
@@ -150,6 +211,7 @@
       await Storage.removeInstance(id);
       showToast('Instance deleted', 'success');
       await renderInstances();
+      await renderRules();
     } catch (err) {
       showToast('Failed to delete: ' + err.message, 'error');
     }
@@ -170,7 +232,8 @@
 
     if (resultEl) {
       if (result.success) {
-        resultEl.textContent = `✓ Connected (v${result.version})`;
+        const via = instance.peerUrls?.length ? ` via ${result.url}` : '';
+        resultEl.textContent = `✓ Connected (v${result.version})${via}`;
         resultEl.className = 'test-result ok';
       } else {
         resultEl.textContent = `✗ ${result.message}`;
@@ -203,6 +266,7 @@
       .map((inst) => {
         const isActive = inst.id === settings.activeInstanceId;
         const authLabel = inst.authType === 'none' ? '' : `<span class="instance-auth-badge">${Utils.escapeHtml(inst.authType)}</span>`;
+        const pausedLabel = inst.monitor === false ? '<span class="instance-paused-badge" title="Background monitoring disabled">paused</span>' : '';
 
         return `<div class="instance-card ${isActive ? 'active-instance' : ''}">
           <div class="instance-info">
@@ -210,8 +274,10 @@
               ${isActive ? '<span class="active-star" title="Active">★</span>' : ''}
               ${Utils.escapeHtml(inst.name)}
               ${authLabel}
+              ${pausedLabel}
             </div>
             <div class="instance-url">${Utils.escapeHtml(inst.url)}</div>
+            ${inst.peerUrls?.length ? `<div class="instance-peers">+ ${inst.peerUrls.map((u) => Utils.escapeHtml(u)).join(', ')}</div>` : ''}
             <div class="test-result" data-test-result="${Utils.escapeHtml(inst.id)}"></div>
           </div>
           <div class="instance-actions">
@@ -225,15 +291,286 @@
       .join('');
   }
 
+  async function renderRules() {
+    if (notificationRules.length === 0) {
+      dom.ruleList.innerHTML = '<div class="rule-empty">No rules — every new alert is notified.</div>';
+      return;
+    }
+
+    const instances = await Storage.getInstances();
+    dom.ruleList.innerHTML = notificationRules
+      .map((rule, i) => {
+        const known = !rule.instanceId || instances.some((inst) => inst.id === rule.instanceId);
+        const instanceOptions = [{ id: '', name: 'All instances' }, ...instances, ...(known ? [] : [{ id: rule.instanceId, name: 'Deleted instance' }])]
+          .map((inst) => `<option value="${Utils.escapeHtml(inst.id)}" ${inst.id === (rule.instanceId || '') ? 'selected' : ''}>${Utils.escapeHtml(inst.name)}</option>`)
+          .join('');
+        const actionOptions = RULE_ACTIONS
+          .map((a) => `<option value="${a.value}" ${a.value === rule.action ? 'selected' : ''}>${a.label}</option>`)
+          .join('');
+        return `<div class="rule-row" data-index="${i}">
+          <select data-field="instanceId">${instanceOptions}</select>
+          <input type="text" data-field="matchers" value="${Utils.escapeHtml(rule.matchers)}" placeholder='severity="info"' spellcheck="false">
+          <select data-field="action">${actionOptions}</select>
+          <button class="btn btn-sm btn-secondary" data-rule-action="up" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+          <button class="btn btn-sm btn-secondary" data-rule-action="down" title="Move down" ${i === notificationRules.length - 1 ? 'disabled' : ''}>↓</button>
+          <button class="btn btn-sm btn-danger" data-rule-action="remove" title="Remove">✕</button>
+        </div>`;
+      })
+      .join('');
+  }
+
+  function updateRuleFromInput(input) {
+    const rule = notificationRules[Number(input.closest('.rule-row').dataset.index)];
+    if (!rule) return;
+    const field = input.dataset.field;
+    rule[field] = field === 'instanceId' ? input.value || null : input.value;
+    if (field === 'matchers') input.classList.remove('invalid');
+  }
+
+  function handleRuleAction(btn) {
+    const index = Number(btn.closest('.rule-row').dataset.index);
+    const action = btn.dataset.ruleAction;
+    if (action === 'remove') {
+      notificationRules.splice(index, 1);
+    } else {
+      const target = action === 'up' ? index - 1 : index + 1;
+      if (target < 0 || target >= notificationRules.length) return;
+      [notificationRules[index], notificationRules[target]] = [notificationRules[target], notificationRules[index]];
+    }
+    renderRules();
+  }
+
+  /**
+   * Check every rule's matcher expression, marking invalid inputs.
+   * @returns {string|null} - error message for the first invalid rule
+   */
+  function validateRules() {
+    let error = null;
+    notificationRules.forEach((rule, i) => {
+      try {
+        Utils.parseMatchers(rule.matchers);
+      } catch (err) {
+        dom.ruleList.querySelector(`.rule-row[data-index="${i}"] input`)?.classList.add('invalid');
+        error = error || `Notification rule ${i + 1}: ${err.message}`;
+      }
+    });
+    return error;
+  }
+
+  function renderTemplates() {
+    if (silenceTemplates.length === 0) {
+      dom.templateList.innerHTML = '<div class="rule-empty">No templates.</div>';
+      return;
+    }
+
+    dom.templateList.innerHTML = silenceTemplates
+      .map((t, i) => `<div class="rule-row template-row" data-index="${i}">
+        <input type="text" data-field="name" value="${Utils.escapeHtml(t.name)}" placeholder="Name">
+        <input type="text" data-field="matchers" value="${Utils.escapeHtml(t.matchers)}" placeholder='instance="{{instance}}"' spellcheck="false">
+        <input type="text" data-field="duration" value="${Utils.escapeHtml(t.duration)}" placeholder="2h" spellcheck="false">
+        <button class="btn btn-sm btn-danger" data-template-action="remove" title="Remove">✕</button>
+        <input type="text" data-field="comment" value="${Utils.escapeHtml(t.comment)}" placeholder="Comment, e.g. Maintenance of {{instance}}">
+      </div>`)
+      .join('');
+  }
+
+  function updateTemplateFromInput(input) {
+    const template = silenceTemplates[Number(input.closest('.template-row').dataset.index)];
+    if (!template) return;
+    template[input.dataset.field] = input.value;
+    input.classList.remove('invalid');
+  }
+
+  /**
+   * Check every template, marking invalid inputs.
+   * @returns {string|null} - error message for the first invalid template
+   */
+  function validateTemplates() {
+    let error = null;
+    const fail = (i, field, message) => {
+      dom.templateList.querySelector(`.template-row[data-index="${i}"] [data-field="${field}"]`)?.classList.add('invalid');
+      error = error || `Silence template ${i + 1}: ${message}`;
+    };
+    silenceTemplates.forEach((t, i) => {
+      if (!t.name.trim()) fail(i, 'name', 'name is required');
+      try {
+        if (Utils.parseMatchers(t.matchers).length === 0) fail(i, 'matchers', 'at least one matcher is required');
+      } catch (err) {
+        fail(i, 'matchers', err.message);
+      }
+      if (!Utils.parseDuration(t.duration)) fail(i, 'duration', 'invalid duration (e.g. 30m, 2h, 1d)');
+    });
+    return error;
+  }
+
+  function dayPickerHtml(days) {
+    // Monday first, as on most work calendars
+    return [1, 2, 3, 4, 5, 6, 0]
+      .map((day) => `<label><input type="checkbox" value="${day}" ${days.includes(day) ? 'checked' : ''}>${WEEKDAYS[day]}</label>`)
+      .join('');
+  }
+
+  function renderDayPicker(container, days) {
+    container.innerHTML = dayPickerHtml(days);
+  }
+
+  async function renderMaintenanceWindows() {
+    if (maintenanceWindows.length === 0) {
+      dom.maintenanceList.innerHTML = '<div class="rule-empty">No maintenance windows.</div>';
+      return;
+    }
+
+    const instances = await Storage.getInstances();
+    dom.maintenanceList.innerHTML = maintenanceWindows
+      .map((w, i) => {
+        const known = instances.some((inst) => inst.id === w.instanceId);
+        const instanceOptions = [...instances, ...(known || !w.instanceId ? [] : [{ id: w.instanceId, name: 'Deleted instance' }])]
+          .map((inst) => `<option value="${Utils.escapeHtml(inst.id)}" ${inst.id === w.instanceId ? 'selected' : ''}>${Utils.escapeHtml(inst.name)}</option>`)
+          .join('');
+        return `<div class="maintenance-window${w.enabled ? '' : ' disabled'}" data-index="${i}" data-id="${Utils.escapeHtml(w.id)}">
+          <div class="maintenance-row">
+            <label class="toggle" title="Enabled"><input type="checkbox" data-field="enabled" ${w.enabled ? 'checked' : ''}><span class="toggle-slider"></span></label>
+            <input type="text" data-field="name" value="${Utils.escapeHtml(w.name)}" placeholder="Name, e.g. Batch cluster upgrades">
+            <select data-field="instanceId">${instanceOptions}</select>
+            <button class="btn btn-sm btn-danger" data-maintenance-action="remove" title="Remove">✕</button>
+          </div>
+          <div class="maintenance-row">
+            <div class="day-picker" data-field="days">${dayPickerHtml(w.days)}</div>
+            <input type="time" data-field="start" value="${Utils.escapeHtml(w.start)}"> –
+            <input type="time" data-field="end" value="${Utils.escapeHtml(w.end)}">
+            <input type="text" data-field="timeZone" value="${Utils.escapeHtml(w.timeZone)}" list="timeZoneList" placeholder="Browser time zone">
+          </div>
+          <div class="maintenance-row">
+            <input type="text" data-field="matchers" value="${Utils.escapeHtml(w.matchers)}" placeholder='cluster="batch"' spellcheck="false">
+            <input type="text" data-field="comment" value="${Utils.escapeHtml(w.comment)}" placeholder="Comment (defaults to the name)">
+          </div>
+          <div class="maintenance-status"></div>
+        </div>`;
+      })
+      .join('');
+    await renderMaintenanceStatus();
+  }
+
+  /**
+   * Show each window's next occurrence and what the service worker last did.
+   */
+  async function renderMaintenanceStatus() {
+    const state = await Storage.getMaintenanceState();
+    const format = (ms) => new Date(ms).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+    dom.maintenanceList.querySelectorAll('.maintenance-window').forEach((el) => {
+      const w = maintenanceWindows[Number(el.dataset.index)];
+      if (!w) return;
+      const entry = state[w.id];
+      const parts = [];
+      const next = w.enabled ? Utils.nextWeeklyWindow(w) : null;
+      if (next) parts.push(`Next: ${Utils.escapeHtml(format(next.startsAt))} – ${Utils.escapeHtml(format(next.endsAt))}`);
+      else if (!w.enabled) parts.push('Disabled');
+      const last = entry?.silences[0];
+      if (last) parts.push(`Last silence ${Utils.escapeHtml(last.silenceId || '')} for ${Utils.escapeHtml(format(last.startsAt))}`);
+      if (entry?.error) parts.push(`<span class="error">Failed ${Utils.escapeHtml(format(entry.errorAt))}: ${Utils.escapeHtml(entry.error)}</span>`);
+      el.querySelector('.maintenance-status').innerHTML = parts.join(' · ');
+    });
+  }
+
+  function updateMaintenanceFromInput(input) {
+    const el = input.closest('.maintenance-window');
+    const w = maintenanceWindows[Number(el.dataset.index)];
+    if (!w) return;
+    const field = input.closest('[data-field]').dataset.field;
+    if (field === 'days') {
+      w.days = getPickedDays(input.closest('.day-picker'));
+    } else if (field === 'enabled') {
+      w.enabled = input.checked;
+      el.classList.toggle('disabled', !w.enabled);
+    } else {
+      w[field] = input.value;
+    }
+    input.closest('[data-field]').classList.remove('invalid');
+  }
+
+  /**
+   * Check every maintenance window, marking invalid inputs.
+   * @returns {Promise<string|null>} - error message for the first invalid window
+   */
+  async function validateMaintenanceWindows() {
+    const instances = await Storage.getInstances();
+    let error = null;
+    maintenanceWindows.forEach((w, i) => {
+      const fail = (field, message) => {
+        dom.maintenanceList.querySelector(`.maintenance-window[data-index="${i}"] [data-field="${field}"]`)?.classList.add('invalid');
+        error = error || `Maintenance window ${i + 1}: ${message}`;
+      };
+      if (!w.name.trim()) fail('name', 'name is required');
+      if (!instances.some((inst) => inst.id === w.instanceId)) fail('instanceId', 'choose an instance');
+      if (w.days.length === 0) fail('days', 'choose at least one day');
+      if (Utils.parseClock(w.start) === null) fail('start', 'invalid start time');
+      if (Utils.parseClock(w.end) === null) fail('end', 'invalid end time');
+      if (w.timeZone.trim() && !Utils.isValidTimeZone(w.timeZone.trim())) fail('timeZone', `unknown time zone "${w.timeZone.trim()}"`);
+      try {
+        if (Utils.parseMatchers(w.matchers).length === 0) fail('matchers', 'at least one matcher is required');
+      } catch (err) {
+        fail('matchers', err.message);
+      }
+    });
+    return error;
+  }
+
+  function getPickedDays(container) {
+    return [...container.querySelectorAll('input:checked')].map((input) => Number(input.value)).sort();
+  }
+
+  function sanitizeDays(days) {
+    return Array.isArray(days) ? [...new Set(days.map(Number).filter((d) => Number.isInteger(d) && d >= 0 && d <= 6))] : [];
+  }
+
+  function updateVolumeLabel() {
+    dom.soundVolumeValue.textContent = `${dom.soundVolume.value}%`;
+  }
+
+  async function testSound(severity) {
+    const response = await chrome.runtime.sendMessage({ action: 'testSound', severity, volume: Number(dom.soundVolume.value) });
+    if (!response?.success) showToast('Could not play sound: ' + (response?.error || 'no response'), 'error');
+  }
+
+  function clampMinutes(value) {
+    return Math.min(1440, Math.max(0, parseInt(value, 10) || 0));
+  }
+
   async function loadSettings() {
     const settings = await Storage.getSettings();
     dom.pollInterval.value = settings.pollInterval;
+    dom.historyRetentionDays.value = settings.historyRetentionDays;
     dom.enableBadge.checked = settings.enableBadge;
     dom.enableNotifications.checked = settings.enableNotifications;
+    dom.notificationSilenceDuration.value = settings.notificationSilenceDuration;
+    dom.silenceExpiryMinutes.value = settings.silenceExpiryMinutes;
+    dom.silenceCreatedBy.value = settings.silenceCreatedBy;
+    dom.renotifyCritical.value = settings.renotifyMinutes.critical;
+    dom.renotifyWarning.value = settings.renotifyMinutes.warning;
+    dom.renotifyInfo.value = settings.renotifyMinutes.info;
     dom.defActive.checked = settings.defaultFilter.active;
     dom.defSilenced.checked = settings.defaultFilter.silenced;
     dom.defInhibited.checked = settings.defaultFilter.inhibited;
     dom.defUnprocessed.checked = settings.defaultFilter.unprocessed;
+    notificationRules = settings.notificationRules.map((rule) => ({ ...rule }));
+    await renderRules();
+    silenceTemplates = settings.silenceTemplates.map((t) => ({ ...t }));
+    renderTemplates();
+    maintenanceWindows = settings.maintenanceWindows.map((w) => ({ ...w, days: [...w.days] }));
+    await renderMaintenanceWindows();
+    dom.soundEnabled.checked = settings.sound.enabled;
+    dom.soundVolume.value = settings.sound.volume;
+    dom.soundLoopCritical.checked = settings.sound.loopCritical;
+    updateVolumeLabel();
+    dom.quietEnabled.checked = settings.quietHours.enabled;
+    dom.quietStart.value = settings.quietHours.start;
+    dom.quietEnd.value = settings.quietHours.end;
+    dom.quietTimeZone.value = settings.quietHours.timeZone;
+    dom.quietOverride.value = settings.quietHours.override;
+    renderDayPicker(dom.quietDays, settings.quietHours.days);
+    dom.onCallEnabled.checked = settings.onCall.enabled;
+    renderDayPicker(dom.onCallDays, settings.onCall.days);
 
     const manifest = chrome.runtime.getManifest();
     dom.extVersion.textContent = manifest.version;
@@ -242,18 +579,103 @@
   async function saveSettings() {
     const pollInterval = Math.min(300, Math.max(10, parseInt(dom.pollInterval.value, 10) || 30));
     dom.pollInterval.value = pollInterval;
+    const historyRetentionDays = Math.min(90, Math.max(1, parseInt(dom.historyRetentionDays.value, 10) || 7));
+    dom.historyRetentionDays.value = historyRetentionDays;
 
-    await Storage.saveSettings({
-      pollInterval,
-      enableBadge: dom.enableBadge.checked,
-      enableNotifications: dom.enableNotifications.checked,
-      defaultFilter: {
-        active: dom.defActive.checked,
-        silenced: dom.defSilenced.checked,
-        inhibited: dom.defInhibited.checked,
-        unprocessed: dom.defUnprocessed.checked,
-      },
-    });
+    const notificationSilenceDuration = dom.notificationSilenceDuration.value.trim();
+    if (!Utils.parseDuration(notificationSilenceDuration)) {
+      showToast('Invalid notification silence duration (e.g. 30m, 1h, 1d)', 'error');
+      return;
+    }
+
+    const silenceExpiryMinutes = clampMinutes(dom.silenceExpiryMinutes.value);
+    dom.silenceExpiryMinutes.value = silenceExpiryMinutes;
+
+    const ruleError = validateRules() || validateTemplates() || (await validateMaintenanceWindows());
+    if (ruleError) {
+      showToast(ruleError, 'error');
+      return;
+    }
+
+    const quietHours = {
+      enabled: dom.quietEnabled.checked,
+      timeZone: dom.quietTimeZone.value.trim(),
+      days: getPickedDays(dom.quietDays),
+      start: dom.quietStart.value,
+      end: dom.quietEnd.value,
+      override: dom.quietOverride.value.trim(),
+    };
+    dom.quietTimeZone.classList.remove('invalid');
+    dom.quietOverride.classList.remove('invalid');
+    if (quietHours.timeZone && !Utils.isValidTimeZone(quietHours.timeZone)) {
+      dom.quietTimeZone.classList.add('invalid');
+      showToast(`Unknown time zone "${quietHours.timeZone}"`, 'error');
+      return;
+    }
+    if (Utils.parseClock(quietHours.start) === null || Utils.parseClock(quietHours.end) === null) {
+      showToast('Invalid notification hours', 'error');
+      return;
+    }
+    try {
+      Utils.parseMatchers(quietHours.override);
+    } catch (err) {
+      dom.quietOverride.classList.add('invalid');
+      showToast(`Invalid quiet hours override: ${err.message}`, 'error');
+      return;
+    }
+
+    const renotifyMinutes = {
+      critical: clampMinutes(dom.renotifyCritical.value),
+      warning: clampMinutes(dom.renotifyWarning.value),
+      info: clampMinutes(dom.renotifyInfo.value),
+    };
+    dom.renotifyCritical.value = renotifyMinutes.critical;
+    dom.renotifyWarning.value = renotifyMinutes.warning;
+    dom.renotifyInfo.value = renotifyMinutes.info;
+
+    try {
+      await Storage.saveSettings({
+        pollInterval,
+        historyRetentionDays,
+        renotifyMinutes,
+        enableBadge: dom.enableBadge.checked,
+        enableNotifications: dom.enableNotifications.checked,
+        notificationSilenceDuration,
+        silenceExpiryMinutes,
+        silenceCreatedBy: dom.silenceCreatedBy.value.trim(),
+        notificationRules: notificationRules.map((rule) => ({ ...rule, matchers: rule.matchers.trim() })),
+        silenceTemplates: silenceTemplates.map((t) => ({
+          ...t,
+          name: t.name.trim(),
+          matchers: t.matchers.trim(),
+          duration: t.duration.trim(),
+          comment: t.comment.trim(),
+        })),
+        maintenanceWindows: maintenanceWindows.map((w) => ({
+          ...w,
+          name: w.name.trim(),
+          timeZone: w.timeZone.trim(),
+          matchers: w.matchers.trim(),
+          comment: w.comment.trim(),
+        })),
+        sound: {
+          enabled: dom.soundEnabled.checked,
+          volume: Number(dom.soundVolume.value),
+          loopCritical: dom.soundLoopCritical.checked,
+        },
+        quietHours,
+        onCall: { enabled: dom.onCallEnabled.checked, days: getPickedDays(dom.onCallDays) },
+        defaultFilter: {
+          active: dom.defActive.checked,
+          silenced: dom.defSilenced.checked,
+          inhibited: dom.defInhibited.checked,
+          unprocessed: dom.defUnprocessed.checked,
+        },
+      });
+    } catch (err) {
+      showToast('Failed to save settings: ' + err.message, 'error');
+      return;
+    }
 
     showToast('Settings saved', 'success');
     dom.saveStatus.textContent = 'Saved ✓';
@@ -271,11 +693,25 @@
         settings: {
           instances: settings.instances,
           activeInstanceId: settings.activeInstanceId,
+          showAllInstances: settings.showAllInstances,
           pollInterval: settings.pollInterval,
           enableNotifications: settings.enableNotifications,
           enableBadge: settings.enableBadge,
           theme: settings.theme,
           defaultFilter: settings.defaultFilter,
+          silenceCreatedBy: settings.silenceCreatedBy,
+          historyRetentionDays: settings.historyRetentionDays,
+          renotifyMinutes: settings.renotifyMinutes,
+          notificationSilenceDuration: settings.notificationSilenceDuration,
+          silenceExpiryMinutes: settings.silenceExpiryMinutes,
+          notificationRules: settings.notificationRules,
+          sound: settings.sound,
+          savedViews: settings.savedViews,
+          silenceTemplates: settings.silenceTemplates,
+          maintenanceWindows: settings.maintenanceWindows,
+          defaultViews: settings.defaultViews,
+          quietHours: settings.quietHours,
+          onCall: settings.onCall,
         },
       };
 
@@ -313,11 +749,58 @@
       if (!inst.name || typeof inst.name !== 'string') return `Invalid instance at index ${i}: missing name`;
       if (!inst.url || typeof inst.url !== 'string') return `Invalid instance at index ${i}: missing url`;
       try { new URL(inst.url); } catch { return `Invalid instance at index ${i}: malformed URL "${inst.url}"`; }
+      if (inst.peerUrls !== undefined) {
+        if (!Array.isArray(inst.peerUrls)) return `Invalid instance at index ${i}: peerUrls must be an array`;
+        for (const peerUrl of inst.peerUrls) {
+          try { new URL(peerUrl); } catch { return `Invalid instance at index ${i}: malformed peer URL "${peerUrl}"`; }
+        }
+      }
       if (inst.authType && !['none', 'basic', 'bearer'].includes(inst.authType)) {
         return `Invalid instance at index ${i}: unknown authType "${inst.authType}"`;
       }
     }
 
+    if (s.notificationRules !== undefined) {
+      if (!Array.isArray(s.notificationRules)) return 'Invalid file: notificationRules must be an array';
+      for (let i = 0; i < s.notificationRules.length; i++) {
+        const rule = s.notificationRules[i];
+        if (!RULE_ACTIONS.some((a) => a.value === rule?.action)) return `Invalid notification rule at index ${i}: unknown action`;
+        try {
+          Utils.parseMatchers(rule.matchers);
+        } catch (err) {
+          return `Invalid notification rule at index ${i}: ${err.message}`;
+        }
+      }
+    }
+
+    if (s.silenceTemplates !== undefined) {
+      if (!Array.isArray(s.silenceTemplates)) return 'Invalid file: silenceTemplates must be an array';
+      for (let i = 0; i < s.silenceTemplates.length; i++) {
+        const t = s.silenceTemplates[i];
+        if (!t?.name || typeof t.name !== 'string') return `Invalid silence template at index ${i}: missing name`;
+        if (!Utils.parseDuration(t.duration)) return `Invalid silence template at index ${i}: invalid duration`;
+        try {
+          Utils.parseMatchers(t.matchers);
+        } catch (err) {
+          return `Invalid silence template at index ${i}: ${err.message}`;
+        }
+      }
+    }
+
+    if (s.maintenanceWindows !== undefined) {
+      if (!Array.isArray(s.maintenanceWindows)) return 'Invalid file: maintenanceWindows must be an array';
+      for (let i = 0; i < s.maintenanceWindows.length; i++) {
+        const w = s.maintenanceWindows[i];
+        if (!w?.name || typeof w.name !== 'string') return `Invalid maintenance window at index ${i}: missing name`;
+        if (Utils.parseClock(w.start) === null || Utils.parseClock(w.end) === null) return `Invalid maintenance window at index ${i}: invalid times`;
+        try {
+          Utils.parseMatchers(w.matchers);
+        } catch (err) {
+          return `Invalid maintenance window at index ${i}: ${err.message}`;
+        }
+      }
+    }
+
     if (s.pollInterval !== undefined) {
       const pi = Number(s.pollInterval);
       if (isNaN(pi) || pi < 10 || pi > 300) return 'Invalid pollInterval (must be 10–300)';
@@ -394,11 +877,14 @@
           id: inst.id || crypto.randomUUID(),
           name: String(inst.name).trim(),
           url: String(inst.url).trim().replace(/\/+$/, ''),
+          peerUrls: (inst.peerUrls || []).map((u) => String(u).trim().replace(/\/+$/, '')),
           authType: ['none', 'basic', 'bearer'].includes(inst.authType) ? inst.authType : 'none',
+          monitor: inst.monitor !== false,
           ...(inst.authType === 'basic' ? { username: String(inst.username || ''), password: String(inst.password || '') } : {}),
           ...(inst.authType === 'bearer' ? { token: String(inst.token || '') } : {}),
         })),
         activeInstanceId: s.activeInstanceId || null,
+        showAllInstances: s.showAllInstances === true,
         pollInterval: Math.min(300, Math.max(10, parseInt(s.pollInterval, 10) || 30)),
         enableNotifications: s.enableNotifications !== false,
         enableBadge: s.enableBadge !== false,
@@ -409,13 +895,81 @@
           inhibited: s.defaultFilter?.inhibited !== false,
           unprocessed: s.defaultFilter?.unprocessed !== false,
         },
+        silenceCreatedBy: String(s.silenceCreatedBy || '').trim(),
+        historyRetentionDays: Math.min(90, Math.max(1, parseInt(s.historyRetentionDays, 10) || 7)),
+        notificationSilenceDuration: Utils.parseDuration(s.notificationSilenceDuration) ? String(s.notificationSilenceDuration) : '1h',
+        silenceExpiryMinutes: clampMinutes(s.silenceExpiryMinutes ?? 15),
+        renotifyMinutes: {
+          critical: clampMinutes(s.renotifyMinutes?.critical ?? 30),
+          warning: clampMinutes(s.renotifyMinutes?.warning),
+          info: clampMinutes(s.renotifyMinutes?.info),
+        },
+        notificationRules: (s.notificationRules || []).map((rule) => ({
+          id: rule.id || crypto.randomUUID(),
+          instanceId: rule.instanceId || null,
+          matchers: String(rule.matchers || '').trim(),
+          action: rule.action,
+        })),
+        savedViews: (Array.isArray(s.savedViews) ? s.savedViews : [])
+          .filter((v) => v && typeof v.name === 'string' && v.name.trim())
+          .map((v) => ({
+            id: String(v.id || crypto.randomUUID()),
+            name: v.name.trim(),
+            query: String(v.query || ''),
+            states: {
+              active: v.states?.active !== false,
+              silenced: v.states?.silenced !== false,
+              inhibited: v.states?.inhibited !== false,
+              acked: v.states?.acked !== false,
+            },
+            severity: ['critical', 'warning', 'info'].includes(v.severity) ? v.severity : 'all',
+            groupBy: String(v.groupBy ?? 'alertname'),
+            instanceId: String(v.instanceId || ''),
+          })),
+        silenceTemplates: (s.silenceTemplates || []).map((t) => ({
+          id: String(t.id || crypto.randomUUID()),
+          name: t.name.trim(),
+          matchers: String(t.matchers || '').trim(),
+          duration: String(t.duration).trim(),
+          comment: String(t.comment || '').trim(),
+        })),
+        maintenanceWindows: (s.maintenanceWindows || []).map((w) => ({
+          id: String(w.id || crypto.randomUUID()),
+          name: w.name.trim(),
+          enabled: w.enabled !== false,
+          instanceId: String(w.instanceId || ''),
+          days: sanitizeDays(w.days),
+          start: w.start,
+          end: w.end,
+          timeZone: Utils.isValidTimeZone(w.timeZone) ? String(w.timeZone || '') : '',
+          matchers: String(w.matchers || '').trim(),
+          comment: String(w.comment || '').trim(),
+        })),
+        defaultViews: s.defaultViews && typeof s.defaultViews === 'object' ? { ...s.defaultViews } : {},
+        sound: {
+          enabled: s.sound?.enabled === true,
+          volume: Math.min(100, Math.max(0, parseInt(s.sound?.volume ?? 70, 10) || 0)),
+          loopCritical: s.sound?.loopCritical === true,
+        },
+        quietHours: {
+          enabled: s.quietHours?.enabled === true,
+          timeZone: Utils.isValidTimeZone(s.quietHours?.timeZone) ? String(s.quietHours?.timeZone || '') : '',
+          days: s.quietHours ? sanitizeDays(s.quietHours.days) : [1, 2, 3, 4, 5],
+          start: Utils.parseClock(s.quietHours?.start) !== null ? s.quietHours.start : '09:00',
+          end: Utils.parseClock(s.quietHours?.end) !== null ? s.quietHours.end : '18:00',
+          override: s.quietHours ? String(s.quietHours.override || '').trim() : 'severity="critical"',
+        },
+        onCall: {
+          enabled: s.onCall?.enabled === true,
+          days: sanitizeDays(s.onCall?.days),
+        },
       };
 
       if (sanitized.activeInstanceId && !sanitized.instances.find((i) => i.id === sanitized.activeInstanceId)) {
         sanitized.activeInstanceId = sanitized.instances[0]?.id || null;
       }
 
-      await chrome.storage.sync.set({ settings: sanitized });
+      await Storage.saveSettings(sanitized);
 
       closeImportConfirm();
       await renderInstances();
@@ -426,6 +980,17 @@
     }
   }
 
+  async function clearHistory() {
+    if (!confirm('Delete all recorded alert history? This cannot be undone.')) return;
+
+    try {
+      await AlertHistory.clear();
+      showToast('Alert history cleared', 'success');
+    } catch (err) {
+      showToast('Failed to clear history: ' + err.message, 'error');
+    }
+  }
+
   function closeImportConfirm() {
     dom.importConfirmOverlay.classList.remove('show');
     pendingImportData = null;
@@ -481,6 +1046,74 @@
     dom.importConfigBtn.addEventListener('click', () => dom.importFileInput.click());
     dom.importFileInput.addEventListener('change', (e) => handleImportFile(e.target.files[0]));
     dom.importCancelBtn.addEventListener('click', closeImportConfirm);
+    dom.clearHistoryBtn.addEventListener('click', clearHistory);
+    dom.soundVolume.addEventListener('input', updateVolumeLabel);
+    $$('[data-test-sound]').forEach((btn) => {
+      btn.addEventListener('click', () => testSound(btn.dataset.testSound));
+    });
+    dom.addRuleBtn.addEventListener('click', () => {
+      notificationRules.push({ id: crypto.randomUUID(), instanceId: null, matchers: '', action: 'notify' });
+      renderRules().then(() => dom.ruleList.querySelector('.rule-row:last-child input')?.focus());
+    });
+    dom.ruleList.addEventListener('input', (e) => {
+      if (e.target.dataset.field) updateRuleFromInput(e.target);
+    });
+    dom.ruleList.addEventListener('change', (e) => {
+      if (e.target.dataset.field) updateRuleFromInput(e.target);
+    });
+    dom.ruleList.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-rule-action]');
+      if (btn) handleRuleAction(btn);
+    });
+    dom.addTemplateBtn.addEventListener('click', () => {
+      silenceTemplates.push({ id: crypto.randomUUID(), name: '', matchers: '', duration: '2h', comment: '' });
+      renderTemplates();
+      dom.templateList.querySelector('.template-row:last-child input')?.focus();
+    });
+    dom.templateList.addEventListener('input', (e) => {
+      if (e.target.dataset.field) updateTemplateFromInput(e.target);
+    });
+    dom.templateList.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-template-action="remove"]');
+      if (!btn) return;
+      silenceTemplates.splice(Number(btn.closest('.template-row').dataset.index), 1);
+      renderTemplates();
+    });
+    dom.addMaintenanceBtn.addEventListener('click', async () => {
+      const instances = await Storage.getInstances();
+      maintenanceWindows.push({
+        id: crypto.randomUUID(),
+        name: '',
+        enabled: true,
+        instanceId: instances[0]?.id || '',
+        days: [0],
+        start: '02:00',
+        end: '04:00',
+        timeZone: 'UTC',
+        matchers: '',
+        comment: '',
+      });
+      await renderMaintenanceWindows();
+      dom.maintenanceList.querySelector('.maintenance-window:last-child [data-field="name"]')?.focus();
+    });
+    dom.maintenanceList.addEventListener('input', (e) => {
+      if (e.target.closest('[data-field]')) updateMaintenanceFromInput(e.target);
+    });
+    dom.maintenanceList.addEventListener('change', (e) => {
+      if (e.target.closest('[data-field]')) {
+        updateMaintenanceFromInput(e.target);
+        renderMaintenanceStatus();
+      }
+    });
+    dom.maintenanceList.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-maintenance-action="remove"]');
+      if (!btn) return;
+      maintenanceWindows.splice(Number(btn.closest('.maintenance-window').dataset.index), 1);
+      renderMaintenanceWindows();
+    });
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.maintenanceState) renderMaintenanceStatus();
+    });
     dom.importConfirmBtn.addEventListener('click', confirmImport);
     dom.importConfirmOverlay.addEventListener('click', (e) => {
       if (e.target === dom.importConfirmOverlay) closeImportConfirm();
@@ -498,6 +1131,9 @@
   }
 
   async function init() {
+    dom.timeZoneList.innerHTML = (Intl.supportedValuesOf?.('timeZone') || [])
+      .map((tz) => `<option value="${tz}">`)
+      .join('');
     await renderInstances();
     await loadSettings();
     bindEvents();
@@ -6,14 +6,29 @@
 
   const dom = {
     connectionDot: $('#connectionDot'),
+    quietIndicator: $('#quietIndicator'),
     instanceSelector: $('#instanceSelector'),
     refreshBtn: $('#refreshBtn'),
     settingsBtn: $('#settingsBtn'),
+    dashboardBtn: $('#dashboardBtn'),
     searchInput: $('#searchInput'),
+    searchError: $('#searchError'),
+    autocomplete: $('#autocomplete'),
     filterActive: $('#filterActive'),
     filterSilenced: $('#filterSilenced'),
     filterInhibited: $('#filterInhibited'),
+    filterAcked: $('#filterAcked'),
     groupBySelect: $('#groupBySelect'),
+    groupByCustomRow: $('#groupByCustomRow'),
+    groupByCustom: $('#groupByCustom'),
+    viewSelect: $('#viewSelect'),
+    defaultViewBtn: $('#defaultViewBtn'),
+    saveViewBtn: $('#saveViewBtn'),
+    deleteViewBtn: $('#deleteViewBtn'),
+    viewSaveRow: $('#viewSaveRow'),
+    viewNameInput: $('#viewNameInput'),
+    viewSaveConfirmBtn: $('#viewSaveConfirmBtn'),
+    viewSaveCancelBtn: $('#viewSaveCancelBtn'),
     alertSummary: $('#alertSummary'),
     alertList: $('#alertList'),
     silenceList: $('#silenceList'),
@@ -22,12 +37,67 @@
     detailOverlay: $('#detailOverlay'),
     detailBack: $('#detailBack'),
     detailContent: $('#detailContent'),
+    newSilenceBtn: $('#newSilenceBtn'),
+    silenceSearch: $('#silenceSearch'),
+    silenceSearchError: $('#silenceSearchError'),
+    silenceFilterActive: $('#silenceFilterActive'),
+    silenceFilterPending: $('#silenceFilterPending'),
+    silenceFilterExpired: $('#silenceFilterExpired'),
+    silenceCreator: $('#silenceCreator'),
+    silenceSummary: $('#silenceSummary'),
+    silenceEditorOverlay: $('#silenceEditorOverlay'),
+    silenceEditorBack: $('#silenceEditorBack'),
+    silenceEditorTitle: $('#silenceEditorTitle'),
+    silenceTemplateSection: $('#silenceTemplateSection'),
+    silenceTemplate: $('#silenceTemplate'),
+    silenceMatchers: $('#silenceMatchers'),
+    addMatcherBtn: $('#addMatcherBtn'),
+    silenceDuration: $('#silenceDuration'),
+    silenceEndsAt: $('#silenceEndsAt'),
+    silenceCreatedBy: $('#silenceCreatedBy'),
+    silenceComment: $('#silenceComment'),
+    silenceError: $('#silenceError'),
+    silenceSubmitBtn: $('#silenceSubmitBtn'),
+    silencePreview: $('#silencePreview'),
+    silencePreviewCount: $('#silencePreviewCount'),
+    silenceInstanceSection: $('#silenceInstanceSection'),
+    silenceInstance: $('#silenceInstance'),
+    historySearch: $('#historySearch'),
+    historyRange: $('#historyRange'),
+    historyInstance: $('#historyInstance'),
+    historySummary: $('#historySummary'),
+    historyList: $('#historyList'),
   };
 
+  const DEFAULT_SILENCE_DURATION = '2h';
+  const EXTEND_SILENCE_DURATION = '1h';
+  const MATCHER_OPERATORS = ['=', '!=', '=~', '!~'];
+  const PREVIEW_ALERT_LIMIT = 8;
+  const ALL_INSTANCES = '__all__';
+  const ROUTED_GROUPING = '@routed';
+  const CUSTOM_GROUPING = '@custom';
+  const COLLAPSED_GROUP_LIMIT = 200;
+  const HISTORY_RENDER_LIMIT = 200;
+  const SILENCE_RENDER_LIMIT = 200;
+  const SNOOZE_OPTIONS = [15, 60, 240, 480]; // minutes
+
   let currentAlerts = [];
   let currentSilences = [];
+  let viewInstances = [];
+  let currentAcks = {}; // instanceId -> fingerprint -> ack
   let currentSeverityFilter = 'all';
   let isLoading = false;
+  let silenceEditor = null;
+  let currentViewId = null; // saved view the filters came from, null once edited
+  let labelStats = null; // Utils.collectLabelStats of the current data, built on demand
+  let routedGroups = null; // Alertmanager's own alert groups, fetched when grouping "as routed"
+  let routedGroupsRequest = null; // {key, promise} of the group fetch in flight, keyed on the viewed instances
+  let collapsedGroups = new Set(); // keys of collapsed group headers, kept between openings
+  const renderedGroups = new Map(); // group header key → its alerts, for the group actions
+  const configCache = new Map(); // instance ID → Promise of parsed Alertmanager config
+  let silenceExpiryMinutes = 0; // highlight active silences ending this soon
+  let detailStack = []; // {type: 'alert'|'silence', id} entries shown in the detail overlay, last on top
+  const autocomplete = { input: null, items: [], index: 0 };
 
   function showLoading(show) {
     isLoading = show;
@@ -39,6 +109,16 @@
     dom.connectionDot.title = ok ? 'Connected' : 'Connection error';
   }
 
+  async function renderQuietIndicator() {
+    const settings = await Storage.getSettings();
+    const reason = settings.enableNotifications ? Utils.getQuietReason(settings) : null;
+    dom.quietIndicator.hidden = !reason;
+    if (reason) {
+      const override = settings.quietHours.override.trim();
+      dom.quietIndicator.title = `Quiet mode: ${reason} — notifications are held back` + (override ? ` except for ${override}` : '');
+    }
+  }
+
   async function populateInstanceSelector() {
     const instances = await Storage.getInstances();
     const settings = await Storage.getSettings();
@@ -52,23 +132,281 @@
       return;
     }
 
+    if (instances.length > 1) {
+      const opt = document.createElement('option');
+      opt.value = ALL_INSTANCES;
+      opt.textContent = 'All instances';
+      if (settings.showAllInstances) opt.selected = true;
+      dom.instanceSelector.appendChild(opt);
+    }
+
     instances.forEach((inst) => {
       const opt = document.createElement('option');
       opt.value = inst.id;
       opt.textContent = inst.name || inst.url;
-      if (inst.id === settings.activeInstanceId) opt.selected = true;
+      if (!settings.showAllInstances && inst.id === settings.activeInstanceId) opt.selected = true;
       dom.instanceSelector.appendChild(opt);
     });
   }
 
+  /**
+   * Capture the alert list filters as a view.
+   * @returns {Object} - SavedView without id and name
+   */
+  function getViewState() {
+    return {
+      query: dom.searchInput.value,
+      states: {
+        active: dom.filterActive.checked,
+        silenced: dom.filterSilenced.checked,
+        inhibited: dom.filterInhibited.checked,
+        acked: dom.filterAcked.checked,
+      },
+      severity: currentSeverityFilter,
+      groupBy: dom.groupBySelect.value === CUSTOM_GROUPING ? getGroupLevels().join(', ') : dom.groupBySelect.value,
+      instanceId: dom.instanceSelector.value,
+    };
+  }
+
+  function setSeverityFilter(severity) {
+    currentSeverityFilter = severity;
+    $$('.sev-btn').forEach((b) => b.classList.toggle('active', b.dataset.severity === severity));
+  }
+
+  /**
+   * Put a view's filters into the toolbar. The instance is switched only
+   * when `withInstance` is set and the view's instance still exists.
+   * @param {Object} view
+   * @param {boolean} withInstance
+   * @returns {Promise<boolean>} - whether the instance changed
+   */
+  async function applyViewState(view, withInstance) {
+    dom.searchInput.value = view.query || '';
+    dom.filterActive.checked = view.states?.active !== false;
+    dom.filterSilenced.checked = view.states?.silenced !== false;
+    dom.filterInhibited.checked = view.states?.inhibited !== false;
+    dom.filterAcked.checked = view.states?.acked !== false;
+    setSeverityFilter(view.severity || 'all');
+    if ([...dom.groupBySelect.options].some((o) => o.value === view.groupBy)) {
+      dom.groupBySelect.value = view.groupBy;
+    } else if (view.groupBy) {
+      // Anything else is a custom label list
+      dom.groupBySelect.value = CUSTOM_GROUPING;
+      dom.groupByCustom.value = view.groupBy;
+    }
+    dom.groupByCustomRow.hidden = dom.groupBySelect.value !== CUSTOM_GROUPING;
+
+    const hasInstance = [...dom.instanceSelector.options].some((o) => o.value === view.instanceId);
+    if (!withInstance || !hasInstance || view.instanceId === dom.instanceSelector.value) return false;
+    dom.instanceSelector.value = view.instanceId;
+    await saveInstanceSelection(view.instanceId);
+    return true;
+  }
+
+  async function saveInstanceSelection(value) {
+    if (value === ALL_INSTANCES) {
+      await Storage.saveSettings({ showAllInstances: true });
+    } else {
+      await Storage.saveSettings({ showAllInstances: false, activeInstanceId: value });
+    }
+  }
+
+  async function populateViewSelector() {
+    const settings = await Storage.getSettings();
+    const defaultId = settings.defaultViews[dom.instanceSelector.value];
+    dom.viewSelect.innerHTML =
+      '<option value="">Unsaved view</option>' +
+      settings.savedViews
+        .map((v) => `<option value="${Utils.escapeHtml(v.id)}">${v.id === defaultId ? '★ ' : ''}${Utils.escapeHtml(v.name)}</option>`)
+        .join('');
+    const exists = settings.savedViews.some((v) => v.id === currentViewId);
+    if (!exists) currentViewId = null;
+    dom.viewSelect.value = currentViewId || '';
+    dom.deleteViewBtn.disabled = !currentViewId;
+    dom.defaultViewBtn.disabled = !currentViewId;
+    dom.defaultViewBtn.classList.toggle('is-default', !!currentViewId && currentViewId === defaultId);
+    dom.defaultViewBtn.innerHTML = currentViewId && currentViewId === defaultId ? '&#x2605;' : '&#x2606;';
+  }
+
+  /**
+   * Called whenever a filter changes by hand: the filters no longer match a
+   * saved view, and they are remembered for the next time the popup opens.
+   */
+  function onFiltersChanged() {
+    if (currentViewId) {
+      currentViewId = null;
+      populateViewSelector();
+    }
+    rememberView();
+  }
+
+  function rememberView() {
+    Storage.setLastView({ ...getViewState(), viewId: currentViewId }).catch((err) => {
+      console.error('[Alertmanager Monitor] Failed to remember view:', err.message);
+    });
+  }
+
+  async function selectView(viewId) {
+    const settings = await Storage.getSettings();
+    const view = settings.savedViews.find((v) => v.id === viewId);
+    if (!view) {
+      currentViewId = null;
+      await populateViewSelector();
+      rememberView();
+      return;
+    }
+
+    currentViewId = view.id;
+    const instanceChanged = await applyViewState(view, true);
+    await populateViewSelector();
+    rememberView();
+    if (instanceChanged) {
+      fetchData();
+    } else {
+      renderAlertList();
+    }
+  }
+
+  function openSaveView() {
+    const current = currentViewId && dom.viewSelect.selectedOptions[0];
+    dom.viewNameInput.value = current ? current.textContent.replace(/^★ /, '') : '';
+    dom.viewSaveRow.hidden = false;
+    dom.viewNameInput.focus();
+  }
+
+  async function saveView() {
+    const name = dom.viewNameInput.value.trim();
+    if (!name) {
+      dom.viewNameInput.focus();
+      return;
+    }
+
+    const settings = await Storage.getSettings();
+    const savedViews = [...settings.savedViews];
+    // Saving under an existing name updates that view
+    const existing = savedViews.find((v) => v.name === name);
+    const view = { ...getViewState(), id: existing?.id || crypto.randomUUID(), name };
+    if (existing) {
+      savedViews[savedViews.indexOf(existing)] = view;
+    } else {
+      savedViews.push(view);
+    }
+
+    await Storage.saveSettings({ savedViews });
+    currentViewId = view.id;
+    dom.viewSaveRow.hidden = true;
+    await populateViewSelector();
+    rememberView();
+  }
+
+  async function toggleDefaultView() {
+    if (!currentViewId) return;
+    const settings = await Storage.getSettings();
+    const defaultViews = { ...settings.defaultViews };
+    const key = dom.instanceSelector.value;
+    if (defaultViews[key] === currentViewId) {
+      delete defaultViews[key];
+    } else {
+      defaultViews[key] = currentViewId;
+    }
+    await Storage.saveSettings({ defaultViews });
+    await populateViewSelector();
+  }
+
+  async function deleteView() {
+    if (!currentViewId) return;
+
+    // Deleting can't be undone, so ask for a second click
+    if (!dom.deleteViewBtn.classList.contains('confirming')) {
+      dom.deleteViewBtn.classList.add('confirming');
+      dom.deleteViewBtn.textContent = 'Confirm';
+      return;
+    }
+    resetDeleteViewBtn();
+
+    const settings = await Storage.getSettings();
+    const defaultViews = Object.fromEntries(Object.entries(settings.defaultViews).filter(([, id]) => id !== currentViewId));
+    await Storage.saveSettings({
+      savedViews: settings.savedViews.filter((v) => v.id !== currentViewId),
+      defaultViews,
+    });
+    currentViewId = null;
+    await populateViewSelector();
+    rememberView();
+  }
+
+  function resetDeleteViewBtn() {
+    dom.deleteViewBtn.classList.remove('confirming');
+    dom.deleteViewBtn.textContent = 'Delete';
+  }
+
+  /**
+   * Restore the filters the popup was last closed with.
+   * @returns {Promise<void>}
+   */
+  async function restoreLastView() {
+    const [lastView, settings] = await Promise.all([Storage.getLastView(), Storage.getSettings()]);
+    if (lastView) {
+      currentViewId = lastView.viewId || null;
+      // The selected instance is already restored from settings
+      await applyViewState(lastView, false);
+    } else {
+      const defaultView = settings.savedViews.find((v) => v.id === settings.defaultViews[dom.instanceSelector.value]);
+      if (defaultView) {
+        currentViewId = defaultView.id;
+        await applyViewState(defaultView, false);
+      }
+    }
+    await populateViewSelector();
+  }
+
+  /**
+   * Get the local acknowledgement or snooze in effect for an alert on any of
+   * the instances reporting it.
+   * @param {Object} alert
+   * @returns {Object|null}
+   */
+  function getAlertAck(alert) {
+    for (const instance of alert._instances || []) {
+      const ack = currentAcks[instance.id]?.[alert.fingerprint];
+      if (Utils.isAckActive(ack)) return ack;
+    }
+    return null;
+  }
+
+  async function loadAcks() {
+    const entries = await Promise.all(viewInstances.map(async (i) => [i.id, await Storage.getAlertAcks(i.id)]));
+    currentAcks = Object.fromEntries(entries);
+  }
+
+  /**
+   * Apply a local acknowledgement action to every instance reporting an alert.
+   * @param {Object} alert
+   * @param {'ack'|'snooze'|'clear'} action
+   * @param {number} [minutes] - snooze duration
+   */
+  async function setAlertAck(alert, action, minutes) {
+    for (const instance of alert._instances) {
+      if (action === 'ack') await Storage.acknowledgeAlert(instance.id, alert.fingerprint);
+      else if (action === 'snooze') await Storage.snoozeAlert(instance.id, alert.fingerprint, minutes);
+      else await Storage.clearAlertAck(instance.id, alert.fingerprint);
+    }
+    await loadAcks();
+    renderAlertList();
+    showAlertDetail(alert.fingerprint);
+    chrome.runtime.sendMessage({ action: 'refreshBadge' }).catch(() => {});
+  }
+
   function renderAlertSummary(alerts) {
     const active = alerts.filter((a) => a.status?.state === 'active').length;
     const silenced = alerts.filter((a) => (a.status?.silencedBy?.length || 0) > 0).length;
     const inhibited = alerts.filter((a) => (a.status?.inhibitedBy?.length || 0) > 0).length;
+    const acked = alerts.filter((a) => getAlertAck(a)).length;
     dom.alertSummary.innerHTML =
       `<span style="color:var(--clr-success);font-weight:600">${active} active</span> · ` +
       `<span style="color:var(--clr-warning)">${silenced} silenced</span> · ` +
       `<span style="color:var(--clr-muted)">${inhibited} inhibited</span> · ` +
+      (acked > 0 ? `<span style="color:var(--clr-muted)">${acked} acknowledged</span> · ` : '') +
       `<span>${alerts.length} total</span>`;
   }
 
@@ -79,17 +417,324 @@
       silenced: dom.filterSilenced.checked,
       inhibited: dom.filterInhibited.checked,
     });
+    if (!dom.filterAcked.checked) {
+      alerts = alerts.filter((a) => !getAlertAck(a));
+    }
     if (currentSeverityFilter !== 'all') {
       alerts = alerts.filter((a) => a.labels?.severity === currentSeverityFilter);
     }
-    const query = dom.searchInput.value;
-    if (query) {
-      alerts = Utils.searchAlerts(alerts, query);
-    }
+    alerts = applySearch(alerts, dom.searchInput.value);
     alerts = Utils.sortAlerts(alerts);
     return alerts;
   }
 
+  function setSearchError(message) {
+    dom.searchInput.classList.toggle('invalid', !!message);
+    dom.searchError.hidden = !message;
+    dom.searchError.textContent = message || '';
+  }
+
+  /**
+   * Filter alerts by the search box: matcher expressions are parsed, anything
+   * else is a plain text search. While an expression has a syntax error the
+   * alerts are left unfiltered.
+   * @param {Array} alerts
+   * @param {string} query
+   * @returns {Array}
+   */
+  function applySearch(alerts, query) {
+    if (!Utils.looksLikeMatcher(query)) {
+      setSearchError(null);
+      return Utils.searchAlerts(alerts, query);
+    }
+    try {
+      const filtered = Utils.filterByMatchers(alerts, Utils.parseMatchers(query));
+      setSearchError(null);
+      return filtered;
+    } catch (err) {
+      setSearchError(err.message);
+      return alerts;
+    }
+  }
+
+  function groupSeverityOrder(alerts) {
+    return Math.min(...alerts.map((al) => Utils.getSeverity(al.labels?.severity).order));
+  }
+
+  /**
+   * Fetch Alertmanager's alert groups for every viewed instance. Instances
+   * that fail are reported in the group list instead of failing the view.
+   * @returns {Promise<void>}
+   */
+  function fetchRoutedGroups() {
+    const key = viewInstances.map((i) => i.id).join(',');
+    if (routedGroupsRequest?.key !== key) {
+      const request = { key };
+      request.promise = Promise.all(
+        viewInstances.map(async (instance) => {
+          try {
+            const groups = await AlertmanagerAPI.getAlertGroups(instance);
+            return (groups || []).map((g) => ({
+              instance,
+              receiver: g.receiver?.name || 'unknown',
+              labels: g.labels || {},
+              fingerprints: new Set((g.alerts || []).map((a) => a.fingerprint)),
+            }));
+          } catch (err) {
+            return [{ instance, error: err.message }];
+          }
+        })
+      )
+        .then((results) => {
+          // Groups of instances that are no longer viewed are dropped
+          if (routedGroupsRequest === request) routedGroups = results.flat();
+        })
+        .finally(() => {
+          if (routedGroupsRequest === request) routedGroupsRequest = null;
+        });
+      routedGroupsRequest = request;
+    }
+    return routedGroupsRequest.promise;
+  }
+
+  /**
+   * Render alerts in the groups Alertmanager batches them into for
+   * notifications: receiver plus group labels. An alert routed to several
+   * receivers shows up in each of their groups.
+   * @param {Array} alerts - visible alerts
+   */
+  function renderRoutedGroups(alerts) {
+    if (!routedGroups) {
+      dom.alertList.innerHTML = renderEmpty('⏳', 'Loading groups', 'Fetching alert groups from Alertmanager…');
+      fetchRoutedGroups().then(() => {
+        if (dom.groupBySelect.value === ROUTED_GROUPING) renderAlertList();
+      });
+      return;
+    }
+
+    const showInstance = viewInstances.length > 1;
+    const grouped = new Set();
+    const groups = routedGroups
+      .filter((g) => !g.error)
+      .map((g) => {
+        const members = alerts.filter((a) => g.fingerprints.has(a.fingerprint) && a._instances.some((i) => i.id === g.instance.id));
+        members.forEach((a) => grouped.add(a));
+        return { ...g, alerts: members };
+      })
+      .filter((g) => g.alerts.length > 0);
+
+    // Alerts that arrived after the groups were fetched
+    const ungrouped = alerts.filter((a) => !grouped.has(a));
+    if (ungrouped.length > 0) groups.push({ receiver: 'Not yet grouped', labels: {}, alerts: ungrouped });
+
+    groups.sort((a, b) => groupSeverityOrder(a.alerts) - groupSeverityOrder(b.alerts));
+
+    const errors = routedGroups
+      .filter((g) => g.error)
+      .map((g) => `<div class="silence-error">${Utils.escapeHtml(g.instance.name)}: ${Utils.escapeHtml(g.error)}</div>`)
+      .join('');
+
+    dom.alertList.innerHTML = errors + groups
+      .map((g) => {
+        const labels = Object.entries(g.labels)
+          .map(([k, v]) => `<span class="label-tag">${Utils.escapeHtml(k)}=${Utils.escapeHtml(Utils.truncate(v, 30))}</span>`)
+          .join('');
+        const instanceTag = showInstance && g.instance ? `<span class="instance-tag">${Utils.escapeHtml(g.instance.name)}</span>` : '';
+        const key = `${ROUTED_GROUPING}|${g.instance?.id || ''}|${g.receiver}|${JSON.stringify(g.labels)}`;
+        return `<div class="alert-group">
+          <div class="group-header${collapsedGroups.has(key) ? ' collapsed' : ''}" data-group="${Utils.escapeHtml(key)}">
+            <div class="group-title">
+              <div><span class="chevron">▼</span>${Utils.escapeHtml(g.receiver)} ${instanceTag}</div>
+              ${labels ? `<div class="group-labels">${labels}</div>` : ''}
+            </div>
+            <div class="group-meta">${renderGroupSilenceButton(key, g.alerts)}${renderSeverityRollup(g.alerts)}<span class="group-count">${g.alerts.length}</span></div>
+          </div>
+          <div class="group-body">${g.alerts.map(renderAlertCard).join('')}</div>
+        </div>`;
+      })
+      .join('');
+  }
+
+  // ── Autocomplete ──
+
+  function getLabelStats() {
+    if (!labelStats) labelStats = Utils.collectLabelStats(currentAlerts, currentSilences);
+    return labelStats;
+  }
+
+  function nameCounts() {
+    return Object.fromEntries(Object.entries(getLabelStats()).map(([name, entry]) => [name, entry.count]));
+  }
+
+  /**
+   * Suggest label names or values for the matcher being typed at the caret
+   * in the search box, e.g. `cluster=` lists every cluster seen.
+   * @param {HTMLInputElement} input
+   * @returns {Array<{label: string, count: number, apply: Function}>}
+   */
+  function searchSuggestions(input) {
+    const value = input.value;
+    const caret = input.selectionStart;
+    const before = value.slice(0, caret);
+    const after = value.slice(caret);
+    const segmentStart = Math.max(before.lastIndexOf(','), before.lastIndexOf('{')) + 1;
+    const segment = before.slice(segmentStart);
+    const start = segmentStart + segment.match(/^\s*/)[0].length;
+
+    const replace = (end, text) => () => {
+      input.value = value.slice(0, start) + text + value.slice(end);
+      input.setSelectionRange(start + text.length, start + text.length);
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+
+    const matcher = /^\s*([^\s=!~,"{}]+)\s*(=~|!~|!=|=)\s*"?([^"]*)$/.exec(segment);
+    if (matcher) {
+      const [, name, op, partial] = matcher;
+      const values = getLabelStats()[name]?.values || {};
+      const end = caret + after.match(/^[^,}]*/)[0].length;
+      return Utils.rankSuggestions(values, partial).map(({ value: v, count }) => ({
+        label: v,
+        count,
+        apply: replace(end, `${name}${op}${JSON.stringify(op.includes('~') ? Utils.escapeRegex(v) : v)}`),
+      }));
+    }
+
+    const word = segment.trim();
+    if (!word || /[\s=!~"]/.test(word)) return [];
+    const end = caret + after.match(/^[^\s=!~,"{}]*/)[0].length;
+    return Utils.rankSuggestions(nameCounts(), word).map(({ value: name, count }) => ({
+      label: name,
+      count,
+      apply: replace(end, `${name}=`),
+    }));
+  }
+
+  /**
+   * Suggest label names or values for a silence editor matcher field.
+   * @param {HTMLInputElement} input
+   * @returns {Array<{label: string, count: number, apply: Function}>}
+   */
+  function matcherSuggestions(input) {
+    const matcher = silenceEditor?.matchers[Number(input.closest('.matcher-row').dataset.index)];
+    if (!matcher) return [];
+
+    const set = (text) => () => {
+      input.value = text;
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+
+    if (input.dataset.field === 'name') {
+      return Utils.rankSuggestions(nameCounts(), input.value).map(({ value, count }) => ({ label: value, count, apply: set(value) }));
+    }
+    const values = getLabelStats()[matcher.name]?.values || {};
+    return Utils.rankSuggestions(values, input.value).map(({ value, count }) => ({
+      label: value,
+      count,
+      apply: set(matcher.isRegex ? Utils.escapeRegex(value) : value),
+    }));
+  }
+
+  /**
+   * Suggest label names for the entry being typed in the custom group-by list.
+   * @param {HTMLInputElement} input
+   * @returns {Array<{label: string, count: number, apply: Function}>}
+   */
+  function groupBySuggestions(input) {
+    const value = input.value;
+    const caret = input.selectionStart;
+    const before = value.slice(0, caret);
+    const segmentStart = before.lastIndexOf(',') + 1;
+    const start = segmentStart + before.slice(segmentStart).match(/^\s*/)[0].length;
+    const end = caret + value.slice(caret).match(/^[^,]*/)[0].length;
+    const used = new Set(value.split(',').map((l) => l.trim()));
+
+    return Utils.rankSuggestions(nameCounts(), before.slice(start))
+      .filter(({ value: name }) => !used.has(name))
+      .map(({ value: name, count }) => ({
+        label: name,
+        count,
+        apply: () => {
+          input.value = value.slice(0, start) + name + value.slice(end);
+          input.setSelectionRange(start + name.length, start + name.length);
+          input.dispatchEvent(new Event('input', { bubbles: true }));
+        },
+      }));
+  }
+
+  function hasAutocomplete(input) {
+    return input === dom.searchInput || input === dom.groupByCustom || input.matches('.matcher-name, .matcher-value');
+  }
+
+  function getSuggestions(input) {
+    if (input === dom.searchInput) return searchSuggestions(input);
+    if (input === dom.groupByCustom) return groupBySuggestions(input);
+    return matcherSuggestions(input);
+  }
+
+  function renderAutocomplete() {
+    dom.autocomplete.innerHTML = autocomplete.items
+      .map((item, i) => `<li data-index="${i}" class="${i === autocomplete.index ? 'active' : ''}">
+        <span>${Utils.escapeHtml(item.label)}</span><span class="suggestion-count">${item.count}</span>
+      </li>`)
+      .join('');
+    $('li.active', dom.autocomplete)?.scrollIntoView({ block: 'nearest' });
+  }
+
+  function updateAutocomplete(input) {
+    const items = getSuggestions(input);
+    // Nothing to offer once the field holds exactly the only suggestion
+    if (items.length === 0 || (items.length === 1 && items[0].label === input.value)) {
+      hideAutocomplete();
+      return;
+    }
+
+    autocomplete.input = input;
+    autocomplete.items = items;
+    autocomplete.index = 0;
+    const rect = input.getBoundingClientRect();
+    dom.autocomplete.style.left = `${rect.left}px`;
+    dom.autocomplete.style.top = `${rect.bottom + 2}px`;
+    dom.autocomplete.style.minWidth = `${Math.min(rect.width, 240)}px`;
+    dom.autocomplete.hidden = false;
+    renderAutocomplete();
+  }
+
+  function hideAutocomplete() {
+    dom.autocomplete.hidden = true;
+    autocomplete.input = null;
+    autocomplete.items = [];
+  }
+
+  function acceptSuggestion(index) {
+    const item = autocomplete.items[index];
+    const input = autocomplete.input;
+    hideAutocomplete();
+    if (!item) return;
+    item.apply();
+    input.focus();
+  }
+
+  /**
+   * Keyboard handling while suggestions are shown.
+   * @param {KeyboardEvent} e
+   */
+  function handleAutocompleteKey(e) {
+    if (dom.autocomplete.hidden || e.target !== autocomplete.input) return;
+    const count = autocomplete.items.length;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      autocomplete.index = (autocomplete.index + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+      renderAutocomplete();
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      acceptSuggestion(autocomplete.index);
+    } else if (e.key === 'Escape') {
+      hideAutocomplete();
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
   function renderAlertList() {
     const alerts = getVisibleAlerts();
     renderAlertSummary(alerts);
@@ -103,33 +748,87 @@
       return;
     }
 
+    renderedGroups.clear();
     const groupBy = dom.groupBySelect.value;
     if (!groupBy) {
       dom.alertList.innerHTML = alerts.map(renderAlertCard).join('');
       return;
     }
+    if (groupBy === ROUTED_GROUPING) {
+      renderRoutedGroups(alerts);
+      return;
+    }
 
-    const groups = Utils.groupAlerts(alerts, groupBy);
-    const sortedGroups = Object.entries(groups).sort((a, b) => {
-      const maxSevA = Math.min(...a[1].map((al) => Utils.getSeverity(al.labels?.severity).order));
-      const maxSevB = Math.min(...b[1].map((al) => Utils.getSeverity(al.labels?.severity).order));
-      return maxSevA - maxSevB;
-    });
+    const levels = getGroupLevels();
+    if (levels.length === 0) {
+      dom.alertList.innerHTML = alerts.map(renderAlertCard).join('');
+      return;
+    }
+    dom.alertList.innerHTML = renderGroupTree(Utils.groupAlertsNested(alerts, levels), 0, levels.length > 1);
+  }
 
-    dom.alertList.innerHTML = sortedGroups
-      .map(
-        ([name, groupAlerts]) =>
-          `<div class="alert-group">
-            <div class="group-header" data-group="${Utils.escapeHtml(name)}">
-              <div><span class="chevron">▼</span>${Utils.escapeHtml(name)}</div>
-              <span class="group-count">${groupAlerts.length}</span>
-            </div>
-            <div class="group-body">${groupAlerts.map(renderAlertCard).join('')}</div>
-          </div>`
-      )
+  /**
+   * Label names to group by, one per nesting level.
+   * @returns {string[]}
+   */
+  function getGroupLevels() {
+    const value = dom.groupBySelect.value;
+    if (value === CUSTOM_GROUPING) {
+      return dom.groupByCustom.value.split(',').map((l) => l.trim()).filter(Boolean);
+    }
+    return value ? [value] : [];
+  }
+
+  function renderGroupSilenceButton(key, alerts) {
+    renderedGroups.set(key, alerts);
+    return '<button class="group-silence" data-action="silence-group" title="Silence all alerts in this group">🔕</button>';
+  }
+
+  function renderSeverityRollup(alerts) {
+    return Utils.countBySeverity(alerts)
+      .map(({ severity, count }) => `<span class="sev-rollup" style="color:${Utils.SEVERITY[severity].color}" title="${count} ${severity}">●${count}</span>`)
+      .join('');
+  }
+
+  /**
+   * Render nested alert groups from Utils.groupAlertsNested.
+   * @param {Array} groups
+   * @param {number} depth
+   * @param {boolean} showLabel - prefix each group with its label name
+   * @returns {string}
+   */
+  function renderGroupTree(groups, depth, showLabel) {
+    return groups
+      .map((g) => {
+        const body = g.children.length > 0
+          ? renderGroupTree(g.children, depth + 1, showLabel)
+          : g.alerts.map(renderAlertCard).join('');
+        const label = showLabel ? `<span class="group-label">${Utils.escapeHtml(g.label)}:</span> ` : '';
+        return `<div class="alert-group${depth > 0 ? ' nested' : ''}">
+          <div class="group-header${collapsedGroups.has(g.key) ? ' collapsed' : ''}" data-group="${Utils.escapeHtml(g.key)}" style="padding-left:${12 + depth * 14}px">
+            <div><span class="chevron">▼</span>${label}${Utils.escapeHtml(g.value)}</div>
+            <div class="group-meta">${renderGroupSilenceButton(g.key, g.alerts)}${renderSeverityRollup(g.alerts)}<span class="group-count">${g.alerts.length}</span></div>
+          </div>
+          <div class="group-body">${body}</div>
+        </div>`;
+      })
       .join('');
   }
 
+  function toggleGroup(header) {
+    const key = header.dataset.group;
+    const collapsed = header.classList.toggle('collapsed');
+    if (collapsed) {
+      collapsedGroups.add(key);
+    } else {
+      collapsedGroups.delete(key);
+    }
+    // Oldest entries drop off first
+    Storage.setCollapsedGroups([...collapsedGroups].slice(-COLLAPSED_GROUP_LIMIT)).catch((err) => {
+      console.error('[Alertmanager Monitor] Failed to save collapsed groups:', err.message);
+    });
+  }
+
   function renderAlertCard(alert) {
     const sev = Utils.getSeverity(alert.labels?.severity);
     const state = alert.status?.state || 'active';
@@ -144,16 +843,27 @@
       .map(([k, v]) => `<span class="label-tag">${Utils.escapeHtml(k)}=${Utils.escapeHtml(Utils.truncate(v, 30))}</span>`)
       .join('');
 
-    return `<div class="alert-card" data-fingerprint="${fp}">
+    const instanceTags =
+      viewInstances.length > 1
+        ? (alert._instances || []).map((i) => `<span class="instance-tag">${Utils.escapeHtml(i.name)}</span>`).join('')
+        : '';
+
+    const ack = getAlertAck(alert);
+    const ackBadge = ack
+      ? `<span class="alert-badge acked">${ack.type === 'snooze' ? `snoozed ${Utils.formatDuration(Math.ceil((ack.until - Date.now()) / 60000) * 60000)}` : 'ack'}</span>`
+      : '';
+
+    return `<div class="alert-card${ack ? ' acked' : ''}" data-fingerprint="${fp}">
       <div class="alert-sev-strip" style="background:${sev.color}"></div>
       <div class="alert-body">
         <div class="alert-top">
           <span class="alert-name">${alertname}</span>
           <span class="alert-badge ${state}">${state}</span>
+          ${ackBadge}
         </div>
         ${summary ? `<div class="alert-summary-text">${summary}</div>` : ''}
         ${importantLabels ? `<div class="alert-labels">${importantLabels}</div>` : ''}
-        <div class="alert-time">🕐 ${time}</div>
+        <div class="alert-time">🕐 ${time}${instanceTags}</div>
       </div>
     </div>`;
   }
@@ -207,6 +917,15 @@
       ? `<a href="${Utils.escapeHtml(alert.generatorURL)}" target="_blank" rel="noopener">${Utils.escapeHtml(Utils.truncate(alert.generatorURL, 60))}</a>`
       : 'N/A';
 
+    const ack = getAlertAck(alert);
+    const fpAttr = Utils.escapeHtml(alert.fingerprint);
+    const ackActionsHtml = ack
+      ? `<button class="small-btn" data-action="clear-ack" data-fingerprint="${fpAttr}">${ack.type === 'snooze' ? 'Unsnooze' : 'Unacknowledge'}</button>
+         <span class="detail-ack-note">${ack.type === 'snooze' ? `Snoozed until ${Utils.escapeHtml(new Date(ack.until).toLocaleTimeString())}` : 'Acknowledged locally'}</span>`
+      : `<button class="small-btn" data-action="ack-alert" data-fingerprint="${fpAttr}">✓ Acknowledge</button>
+         <select class="small-select" id="snoozeMinutes">${SNOOZE_OPTIONS.map((m) => `<option value="${m}">${Utils.formatDuration(m * 60000)}</option>`).join('')}</select>
+         <button class="small-btn" data-action="snooze-alert" data-fingerprint="${fpAttr}">Snooze</button>`;
+
     dom.detailContent.innerHTML = `
       <div class="detail-section">
         <div class="detail-name" style="color:${sev.color}">${sev.icon} ${Utils.escapeHtml(alert.labels?.alertname || 'Alert')}</div>
@@ -214,6 +933,10 @@
           <span class="alert-badge ${state}">${state}</span>
           <span style="font-size:11px;color:var(--clr-muted)">Severity: ${Utils.escapeHtml(alert.labels?.severity || 'none')}</span>
         </div>
+        <div class="detail-actions">
+          <button class="small-btn" data-action="silence-alert" data-fingerprint="${Utils.escapeHtml(alert.fingerprint)}">🔕 Silence</button>
+          ${ackActionsHtml}
+        </div>
       </div>
       <div class="detail-section">
         <div class="detail-section-title">Labels</div>
@@ -230,105 +953,952 @@
           <div class="detail-meta-row"><span class="detail-meta-key">Ends</span><span>${Utils.formatDate(alert.endsAt)}</span></div>
           <div class="detail-meta-row"><span class="detail-meta-key">Updated</span><span>${Utils.formatDate(alert.updatedAt)}</span></div>
           <div class="detail-meta-row"><span class="detail-meta-key">Fingerprint</span><span>${Utils.escapeHtml(alert.fingerprint)}</span></div>
+          <div class="detail-meta-row"><span class="detail-meta-key">Reported By</span><span>${Utils.escapeHtml(Utils.getLabel(alert, Utils.INSTANCE_LABEL) || 'N/A')}</span></div>
           <div class="detail-meta-row"><span class="detail-meta-key">Receivers</span><span>${receiversHtml}</span></div>
           <div class="detail-meta-row"><span class="detail-meta-key">Generator</span><span>${generatorLink}</span></div>
-          ${alert.status?.silencedBy?.length ? `<div class="detail-meta-row"><span class="detail-meta-key">Silenced By</span><span>${alert.status.silencedBy.map((s) => Utils.escapeHtml(s)).join(', ')}</span></div>` : ''}
-          ${alert.status?.inhibitedBy?.length ? `<div class="detail-meta-row"><span class="detail-meta-key">Inhibited By</span><span>${alert.status.inhibitedBy.map((s) => Utils.escapeHtml(s)).join(', ')}</span></div>` : ''}
+        </div>
+      </div>
+      ${alert.status?.silencedBy?.length ? `<div class="detail-section">
+        <div class="detail-section-title">Silenced By</div>
+        ${alert.status.silencedBy.map(renderSilenceLink).join('')}
+      </div>` : ''}
+      ${alert.status?.inhibitedBy?.length ? `<div class="detail-section">
+        <div class="detail-section-title">Inhibited By</div>
+        <div id="inhibitionDetail" data-fingerprint="${fpAttr}"><div class="editor-hint">Loading inhibit rules…</div></div>
+      </div>` : ''}`;
+
+    dom.detailOverlay.classList.add('show');
+    if (alert.status?.inhibitedBy?.length) renderInhibition(alert);
+  }
+
+  /**
+   * Open an alert or silence in the detail overlay on top of whatever it
+   * shows, so Back returns to it.
+   * @param {'alert'|'silence'} type
+   * @param {string} id - fingerprint or silence ID
+   */
+  function openDetail(type, id) {
+    detailStack.push({ type, id });
+    renderDetail();
+  }
+
+  function renderDetail() {
+    const top = detailStack[detailStack.length - 1];
+    if (!top) return;
+    if (top.type === 'silence') showSilenceDetail(top.id);
+    else showAlertDetail(top.id);
+  }
+
+  function closeDetail() {
+    detailStack = [];
+    dom.detailOverlay.classList.remove('show');
+  }
+
+  function renderSilenceLink(silenceId) {
+    const silence = currentSilences.find((s) => s.id === silenceId);
+    if (!silence) {
+      return `<div class="detail-link-row"><span class="detail-link-id">${Utils.escapeHtml(silenceId)}</span></div>`;
+    }
+    return `<div class="detail-link-row">
+      <button class="link-btn" data-action="show-silence" data-silence-id="${Utils.escapeHtml(silence.id)}">${Utils.escapeHtml(silence.comment || silence.id)}</button>
+      <span class="detail-link-meta">${Utils.escapeHtml(silence.createdBy || 'unknown')} · until ${Utils.escapeHtml(Utils.formatDate(silence.endsAt))}</span>
+    </div>`;
+  }
+
+  function showSilenceDetail(silenceId) {
+    const silence = currentSilences.find((s) => s.id === silenceId);
+    if (!silence) {
+      dom.detailContent.innerHTML = renderEmpty('🔇', 'Silence not found', 'It may have been deleted since the last refresh.');
+      dom.detailOverlay.classList.add('show');
+      return;
+    }
+
+    const state = silence.status?.state || 'expired';
+    const idAttr = Utils.escapeHtml(silence.id);
+    const matchersHtml = (silence.matchers || [])
+      .map((m) => `<span class="silence-matcher">${Utils.escapeHtml(Utils.formatMatcher(m))}</span>`)
+      .join('');
+
+    const suppressed = currentAlerts.filter((a) => a.status?.silencedBy?.includes(silence.id));
+    const suppressedHtml = suppressed
+      .map((a) => {
+        const sev = Utils.getSeverity(a.labels?.severity);
+        return `<div class="detail-link-row">
+          <button class="link-btn" data-action="show-alert" data-fingerprint="${Utils.escapeHtml(a.fingerprint)}" style="color:${sev.color}">${sev.icon} ${Utils.escapeHtml(a.labels?.alertname || a.fingerprint)}</button>
+          <span class="detail-link-meta">${Utils.escapeHtml(Utils.truncate(Object.entries(a.labels || {}).filter(([k]) => k !== 'alertname').map(([k, v]) => `${k}=${v}`).join(', '), 60))}</span>
+        </div>`;
+      })
+      .join('');
+
+    let remaining = '';
+    if (state === 'active') remaining = `Expires in ${formatUntil(silence.endsAt)}`;
+    else if (state === 'pending') remaining = `Starts in ${formatUntil(silence.startsAt)}`;
+    else remaining = `Expired ${Utils.timeAgo(silence.endsAt)}`;
+
+    const actionsHtml =
+      state === 'expired'
+        ? `<div class="detail-actions">
+            <button class="small-btn" data-action="recreate-silence">Recreate</button>
+          </div>`
+        : `<div class="detail-actions">
+            <button class="small-btn" data-action="edit-silence">Edit</button>
+            <button class="small-btn" data-action="extend-silence">Extend ${EXTEND_SILENCE_DURATION}</button>
+            <button class="small-btn danger" data-action="expire-silence">Expire</button>
+          </div>
+          <div class="editor-error silence-error"></div>`;
+
+    dom.detailContent.innerHTML = `
+      <div class="detail-section" data-silence-id="${idAttr}">
+        <div class="detail-name">${Utils.escapeHtml(silence.comment || 'Silence')}</div>
+        <div class="detail-status-row">
+          <span class="silence-status ${state}">${state}</span>
+          <span style="font-size:11px;color:var(--clr-muted)">${Utils.escapeHtml(remaining)}</span>
+        </div>
+        ${actionsHtml}
+      </div>
+      <div class="detail-section">
+        <div class="detail-section-title">Matchers</div>
+        <div class="silence-matchers">${matchersHtml}</div>
+      </div>
+      <div class="detail-section">
+        <div class="detail-section-title">Suppressed alerts (${suppressed.length})</div>
+        ${suppressedHtml || `<div class="editor-hint">${state === 'active' ? 'No alerts are currently suppressed by this silence.' : `A silence that is ${state} suppresses no alerts.`}</div>`}
+      </div>
+      <div class="detail-section">
+        <div class="detail-section-title">Timeline</div>
+        <div class="detail-meta">
+          <div class="detail-meta-row"><span class="detail-meta-key">Starts</span><span>${Utils.formatDate(silence.startsAt)}</span></div>
+          <div class="detail-meta-row"><span class="detail-meta-key">Ends</span><span>${Utils.formatDate(silence.endsAt)}</span></div>
+          <div class="detail-meta-row"><span class="detail-meta-key">Duration</span><span>${Utils.formatDuration(new Date(silence.endsAt) - new Date(silence.startsAt))}</span></div>
+          <div class="detail-meta-row"><span class="detail-meta-key">Last updated</span><span>${Utils.formatDate(silence.updatedAt)}</span></div>
+        </div>
+      </div>
+      <div class="detail-section">
+        <div class="detail-section-title">Metadata</div>
+        <div class="detail-meta">
+          <div class="detail-meta-row"><span class="detail-meta-key">Created by</span><span>${Utils.escapeHtml(silence.createdBy || 'unknown')}</span></div>
+          <div class="detail-meta-row"><span class="detail-meta-key">ID</span><span>${idAttr}</span></div>
+          <div class="detail-meta-row"><span class="detail-meta-key">Instances</span><span>${Utils.escapeHtml(silence._instances.map((i) => i.name).join(', '))}</span></div>
         </div>
       </div>`;
 
     dom.detailOverlay.classList.add('show');
   }
 
+  /**
+   * Get an instance's parsed configuration, fetched once per popup opening.
+   * @param {Object} instance
+   * @returns {Promise<Object>}
+   */
+  function getInstanceConfig(instance) {
+    if (!configCache.has(instance.id)) {
+      const promise = AlertmanagerAPI.getStatus(instance).then((status) => AlertmanagerConfig.parse(status.config?.original || ''));
+      // Don't keep failures around, so the next attempt retries
+      promise.catch(() => configCache.delete(instance.id));
+      configCache.set(instance.id, promise);
+    }
+    return configCache.get(instance.id);
+  }
+
+  function renderMatcherTags(matchers) {
+    return matchers.map((m) => `<span class="silence-matcher">${Utils.escapeHtml(Utils.formatMatcher(m))}</span>`).join('') ||
+      '<span class="editor-hint">any alert</span>';
+  }
+
+  /**
+   * Explain why an alert is inhibited: resolve the inhibiting alerts and show
+   * the inhibit_rules entries that connect them to it.
+   * @param {Object} alert
+   */
+  async function renderInhibition(alert) {
+    const instance = alert._instances[0];
+    let rules = null;
+    let configError = null;
+    try {
+      rules = AlertmanagerConfig.inhibitRules(await getInstanceConfig(instance));
+    } catch (err) {
+      configError = err.message;
+    }
+
+    const container = $('#inhibitionDetail', dom.detailContent);
+    // The user may have moved on to another alert meanwhile
+    if (!container || container.dataset.fingerprint !== alert.fingerprint) return;
+
+    container.innerHTML = alert.status.inhibitedBy
+      .map((fp) => {
+        const source = currentAlerts.find((a) => a.fingerprint === fp);
+        if (!source) {
+          return `<div class="inhibitor">
+            <div class="inhibitor-name">${Utils.escapeHtml(fp)}</div>
+            <div class="editor-hint">Inhibiting alert is not in the current view</div>
+          </div>`;
+        }
+
+        const sev = Utils.getSeverity(source.labels?.severity);
+        let rulesHtml;
+        if (configError) {
+          rulesHtml = `<div class="editor-hint">Could not load inhibit rules: ${Utils.escapeHtml(configError)}</div>`;
+        } else {
+          const matching = AlertmanagerConfig.matchInhibitRules(rules, source.labels || {}, alert.labels || {});
+          rulesHtml = matching
+            .map((rule) => `<div class="inhibit-rule">
+              <div class="inhibit-rule-title">inhibit_rules[${rule.index}]</div>
+              <div class="inhibit-rule-row"><span class="detail-meta-key">Source</span><span>${renderMatcherTags(rule.sourceMatchers)}</span></div>
+              <div class="inhibit-rule-row"><span class="detail-meta-key">Target</span><span>${renderMatcherTags(rule.targetMatchers)}</span></div>
+              ${rule.equal.length > 0 ? `<div class="inhibit-rule-row"><span class="detail-meta-key">Equal</span><span>${rule.equal.map((name) => `<span class="label-tag">${Utils.escapeHtml(name)}=${Utils.escapeHtml(alert.labels?.[name] ?? '')}</span>`).join('')}</span></div>` : ''}
+            </div>`)
+            .join('') || '<div class="editor-hint">No inhibit rule in the current configuration links these alerts.</div>';
+        }
+
+        return `<div class="inhibitor">
+          <button class="inhibitor-name link-btn" data-action="show-alert" data-fingerprint="${Utils.escapeHtml(fp)}" style="color:${sev.color}">
+            ${sev.icon} ${Utils.escapeHtml(source.labels?.alertname || fp)}
+          </button>
+          <span class="alert-badge ${Utils.escapeHtml(source.status?.state || 'active')}">${Utils.escapeHtml(source.status?.state || 'active')}</span>
+          ${rulesHtml}
+        </div>`;
+      })
+      .join('');
+  }
+
+  function formatUntil(date) {
+    return Utils.formatDuration(Math.ceil((new Date(date) - Date.now()) / 60000) * 60000);
+  }
+
+  function populateSilenceCreators() {
+    const selected = dom.silenceCreator.value;
+    const creators = [...new Set(currentSilences.map((s) => s.createdBy || '').filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    // Keep the selection while its silences are gone, e.g. during a refresh
+    if (selected && !creators.includes(selected)) creators.unshift(selected);
+    dom.silenceCreator.innerHTML =
+      '<option value="">All creators</option>' +
+      creators.map((c) => `<option value="${Utils.escapeHtml(c)}"${c === selected ? ' selected' : ''}>${Utils.escapeHtml(c)}</option>`).join('');
+  }
+
+  /**
+   * Apply the Silences tab's state, creator and search filters.
+   * @returns {Array}
+   */
+  function getVisibleSilences() {
+    const states = {
+      active: dom.silenceFilterActive.checked,
+      pending: dom.silenceFilterPending.checked,
+      expired: dom.silenceFilterExpired.checked,
+    };
+    const creator = dom.silenceCreator.value;
+    const silences = currentSilences.filter(
+      (s) => states[s.status?.state || 'expired'] && (!creator || s.createdBy === creator)
+    );
+
+    dom.silenceSearchError.hidden = true;
+    dom.silenceSearch.classList.remove('invalid');
+    try {
+      return Utils.searchSilences(silences, dom.silenceSearch.value);
+    } catch (err) {
+      dom.silenceSearchError.textContent = err.message;
+      dom.silenceSearchError.hidden = false;
+      dom.silenceSearch.classList.add('invalid');
+      return silences;
+    }
+  }
+
   function renderSilences() {
-    if (currentSilences.length === 0) {
-      dom.silenceList.innerHTML = renderEmpty('🔇', 'No silences', 'No active or pending silences found.');
+    populateSilenceCreators();
+    const counts = { active: 0, pending: 0, expired: 0 };
+    currentSilences.forEach((s) => { counts[s.status?.state || 'expired']++; });
+    dom.silenceSummary.innerHTML =
+      `<span style="color:var(--clr-success)">${counts.active} active</span> · ` +
+      `<span>${counts.pending} pending</span> · ` +
+      `<span style="color:var(--clr-muted)">${counts.expired} expired</span>`;
+
+    const visible = getVisibleSilences();
+    if (visible.length === 0) {
+      dom.silenceList.innerHTML = currentSilences.length === 0
+        ? renderEmpty('🔇', 'No silences', 'No silences found.')
+        : renderEmpty('🔍', 'No matches', 'Try adjusting your filters or search query.');
       return;
     }
 
-    const sorted = [...currentSilences].sort((a, b) => {
-      const order = { active: 0, pending: 1, expired: 2 };
-      return (order[a.status?.state] || 3) - (order[b.status?.state] || 3);
+    const order = { active: 0, pending: 1, expired: 2 };
+    const sorted = [...visible].sort((a, b) => {
+      const byState = (order[a.status?.state] ?? 3) - (order[b.status?.state] ?? 3);
+      if (byState !== 0) return byState;
+      // Active silences ending first on top, recently expired ones before older ones
+      const aEnd = new Date(a.endsAt).getTime();
+      const bEnd = new Date(b.endsAt).getTime();
+      return a.status?.state === 'expired' ? bEnd - aEnd : aEnd - bEnd;
     });
 
+    const more = sorted.length - SILENCE_RENDER_LIMIT;
     dom.silenceList.innerHTML = sorted
+      .slice(0, SILENCE_RENDER_LIMIT)
       .map((s) => {
         const state = s.status?.state || 'expired';
         const matchersHtml = (s.matchers || [])
-          .map((m) => {
-            const op = m.isRegex ? (m.isEqual !== false ? '=~' : '!~') : m.isEqual !== false ? '=' : '!=';
-            return `<span class="silence-matcher">${Utils.escapeHtml(m.name)}${op}${Utils.escapeHtml(m.value)}</span>`;
-          })
+          .map((m) => `<span class="silence-matcher">${Utils.escapeHtml(m.name)}${Utils.matcherOperator(m)}${Utils.escapeHtml(m.value)}</span>`)
           .join('');
 
+        const expiring = Utils.isSilenceExpiringSoon(s, silenceExpiryMinutes);
         const timeInfo =
           state === 'active'
-            ? `Expires ${Utils.timeAgo(s.endsAt).replace(' ago', '')} from now`
+            ? `Expires in ${formatUntil(s.endsAt)}`
             : `${Utils.formatDate(s.startsAt)} → ${Utils.formatDate(s.endsAt)}`;
 
-        return `<div class="silence-card">
+        const actionsHtml =
+          state === 'expired'
+            ? `<div class="silence-actions">
+              <button class="small-btn" data-action="recreate-silence">Recreate</button>
+            </div>`
+            : `<div class="silence-actions">
+              <button class="small-btn" data-action="edit-silence">Edit</button>
+              <button class="small-btn" data-action="extend-silence">Extend ${EXTEND_SILENCE_DURATION}</button>
+              <button class="small-btn danger" data-action="expire-silence">Expire</button>
+            </div>
+            <div class="editor-error silence-error"></div>`;
+
+        return `<div class="silence-card${expiring ? ' expiring' : ''}" data-silence-id="${Utils.escapeHtml(s.id)}">
           <div class="silence-top">
             <span class="silence-status ${state}">${state}</span>
+            ${expiring ? '<span class="silence-status expiring">expiring soon</span>' : ''}
             <span class="silence-created-by">${Utils.escapeHtml(s.createdBy || 'unknown')}</span>
+            ${viewInstances.length > 1 ? s._instances.map((i) => `<span class="instance-tag">${Utils.escapeHtml(i.name)}</span>`).join('') : ''}
           </div>
           ${s.comment ? `<div class="silence-comment">${Utils.escapeHtml(s.comment)}</div>` : ''}
           <div class="silence-matchers">${matchersHtml}</div>
           <div class="silence-time">${timeInfo}</div>
+          ${actionsHtml}
+        </div>`;
+      })
+      .join('') +
+      (more > 0 ? `<div class="preview-note silence-more">${more} more — narrow the filters to see them.</div>` : '');
+  }
+
+  async function handleSilenceAction(btn, silenceId) {
+    const silence = currentSilences.find((s) => s.id === silenceId);
+    const instance = silence?._instances[0];
+    if (!silence || !instance) return;
+
+    const action = btn.dataset.action;
+    if (action === 'edit-silence') {
+      await openSilenceEditor({ instance, silence });
+      return;
+    }
+    if (action === 'recreate-silence') {
+      // A new silence with the same matchers and comment, starting now
+      await openSilenceEditor({ instance, matchers: silence.matchers, comment: silence.comment });
+      return;
+    }
+
+    // Expiring is destructive, so ask for a second click
+    if (action === 'expire-silence' && !btn.classList.contains('confirming')) {
+      btn.classList.add('confirming');
+      btn.textContent = 'Confirm expire';
+      return;
+    }
+
+    const errorEl = $('.silence-error', btn.closest('[data-silence-id]'));
+    btn.disabled = true;
+    try {
+      if (action === 'extend-silence') {
+        await AlertmanagerAPI.extendSilence(instance, silence, Utils.parseDuration(EXTEND_SILENCE_DURATION));
+      } else if (action === 'expire-silence') {
+        await AlertmanagerAPI.expireSilence(instance, silence.id);
+      }
+      await fetchData();
+      // Refresh the silence detail if the action came from there
+      if (dom.detailContent.contains(btn)) renderDetail();
+    } catch (err) {
+      btn.disabled = false;
+      if (errorEl) errorEl.textContent = err.message;
+    }
+  }
+
+  function renderMatcherRows() {
+    dom.silenceMatchers.innerHTML = silenceEditor.matchers
+      .map((m, i) => {
+        const current = Utils.matcherOperator(m);
+        const options = MATCHER_OPERATORS.map(
+          (op) => `<option value="${op}"${op === current ? ' selected' : ''}>${op}</option>`
+        ).join('');
+        const regexBtn = m.isRegex
+          ? ''
+          : '<button class="matcher-regex" data-action="regex-matcher" title="Convert to regex matcher">.*</button>';
+        return `<div class="matcher-row${m.enabled ? '' : ' disabled'}" data-index="${i}">
+          <input type="checkbox" class="matcher-toggle" data-field="enabled" title="Include this matcher"${m.enabled ? ' checked' : ''}>
+          <input type="text" class="editor-input matcher-name" data-field="name" placeholder="label" value="${Utils.escapeHtml(m.name)}">
+          <select class="editor-input matcher-op" data-field="op">${options}</select>
+          <input type="text" class="editor-input matcher-value" data-field="value" placeholder="value" value="${Utils.escapeHtml(m.value)}">
+          ${regexBtn}
+          <button class="matcher-remove" data-action="remove-matcher" title="Remove matcher">&times;</button>
         </div>`;
       })
       .join('');
   }
 
-  async function renderStatus() {
-    const instance = await Storage.getActiveInstance();
-    if (!instance) {
-      dom.statusContent.innerHTML = renderEmpty('⚙️', 'No instance configured', 'Go to Settings to add an Alertmanager instance.');
+  function updateMatcherFromRow(e) {
+    const row = e.target.closest('.matcher-row');
+    if (!row || !silenceEditor) return;
+    const matcher = silenceEditor.matchers[Number(row.dataset.index)];
+    const field = e.target.dataset.field;
+    if (field === 'enabled') {
+      matcher.enabled = e.target.checked;
+      row.classList.toggle('disabled', !matcher.enabled);
+    } else if (field === 'op') {
+      const wasRegex = matcher.isRegex;
+      matcher.isRegex = e.target.value.includes('~');
+      matcher.isEqual = !e.target.value.startsWith('!');
+      if (wasRegex !== matcher.isRegex) renderMatcherRows();
+    } else if (field) {
+      matcher[field] = e.target.value;
+    }
+    debouncedPreview();
+  }
+
+  function getEditorMatchers() {
+    return silenceEditor.matchers
+      .filter((m) => m.enabled && m.name.trim())
+      .map((m) => ({ name: m.name.trim(), value: m.value, isRegex: m.isRegex, isEqual: m.isEqual }));
+  }
+
+  function renderPreviewAlerts(alerts) {
+    const items = alerts.slice(0, PREVIEW_ALERT_LIMIT).map((a) => {
+      const labels = Object.entries(a.labels || {})
+        .filter(([k]) => k !== 'alertname')
+        .map(([k, v]) => `${k}=${v}`)
+        .join(' ');
+      return `<div class="preview-alert">
+        <span class="preview-dot" style="background:${Utils.getSeverity(a.labels?.severity).color}"></span>
+        <span>${Utils.escapeHtml(a.labels?.alertname || 'Unknown')}</span>
+        <span class="preview-labels">${Utils.escapeHtml(labels)}</span>
+      </div>`;
+    });
+    if (alerts.length > PREVIEW_ALERT_LIMIT) {
+      items.push(`<div class="preview-note">+${alerts.length - PREVIEW_ALERT_LIMIT} more</div>`);
+    }
+    return items.join('');
+  }
+
+  /**
+   * Show which alerts the editor's matchers would silence, on the target
+   * instance and on every other configured instance.
+   */
+  function renderSilencePreview() {
+    if (!silenceEditor) return;
+    const matchers = getEditorMatchers();
+    dom.silencePreviewCount.textContent = '';
+
+    if (matchers.length === 0) {
+      dom.silencePreview.innerHTML = '<div class="preview-note">Enable at least one matcher to preview affected alerts.</div>';
       return;
     }
 
+    const targetId = silenceEditor.instance.id;
+    const sources = [...silenceEditor.sources].sort(
+      (a, b) => (b.instance.id === targetId) - (a.instance.id === targetId)
+    );
+    let targetCount = 0;
+    let otherCount = 0;
+    let html = '';
+
     try {
-      const status = await AlertmanagerAPI.getStatus(instance);
-      const activeCount = currentAlerts.filter((a) => a.status?.state === 'active').length;
-      const silencedCount = currentAlerts.filter((a) => (a.status?.silencedBy?.length || 0) > 0).length;
+      sources.forEach((source) => {
+        const isTarget = source.instance.id === targetId;
+        const name = Utils.escapeHtml(source.instance.name || source.instance.url);
+        if (source.error) {
+          html += `<div class="preview-instance">${name}</div><div class="preview-note">Unavailable: ${Utils.escapeHtml(source.error)}</div>`;
+          return;
+        }
+        if (!source.alerts) {
+          html += `<div class="preview-instance">${name}</div><div class="preview-note">Loading…</div>`;
+          return;
+        }
+        const matched = source.alerts.filter((a) => Utils.matchesMatchers(a.labels, matchers));
+        if (isTarget) targetCount = matched.length;
+        else otherCount += matched.length;
+        if (isTarget || matched.length > 0) {
+          html += `<div class="preview-instance">${name} (${matched.length})</div>`;
+          html += matched.length > 0 ? renderPreviewAlerts(Utils.sortAlerts(matched)) : '<div class="preview-note">No current alerts match.</div>';
+        }
+      });
+    } catch (err) {
+      dom.silencePreview.innerHTML = `<div class="preview-warning">Invalid regex: ${Utils.escapeHtml(err.message)}</div>`;
+      return;
+    }
 
-      dom.statusContent.innerHTML = `
-        <div class="status-card">
-          <div class="status-card-title">Connection</div>
-          <div class="status-row"><span class="status-label">Instance</span><span class="status-value">${Utils.escapeHtml(instance.name)}</span></div>
-          <div class="status-row"><span class="status-label">URL</span><span class="status-value">${Utils.escapeHtml(instance.url)}</span></div>
-          <div class="status-row"><span class="status-label">Status</span><span class="status-value ok">Connected</span></div>
+    if (silenceEditor.group) {
+      const group = silenceEditor.group;
+      const missed = group.filter((a) => !Utils.matchesMatchers(a.labels, matchers)).length;
+      const groupFingerprints = new Set(group.map((a) => a.fingerprint));
+      const outside = (sources.find((src) => src.instance.id === targetId)?.alerts || [])
+        .filter((a) => !groupFingerprints.has(a.fingerprint) && Utils.matchesMatchers(a.labels, matchers)).length;
+      if (missed > 0) html += `<div class="preview-warning">${missed} of the group's ${group.length} alert(s) are not matched.</div>`;
+      if (outside > 0) html += `<div class="preview-warning">${outside} matched alert(s) are outside the group.</div>`;
+    }
+
+    if (otherCount > 0) {
+      html += `<div class="preview-warning">The same matchers catch ${otherCount} alert(s) on other instances. The silence is only created on ${Utils.escapeHtml(silenceEditor.instance.name)}.</div>`;
+    }
+
+    dom.silencePreviewCount.textContent = `(${targetCount})`;
+    dom.silencePreview.innerHTML = html;
+  }
+
+  const debouncedPreview = Utils.debounce(() => renderSilencePreview(), 150);
+
+  /**
+   * Collect alerts of every configured instance for the preview. Instances
+   * shown in the popup reuse the loaded alerts; the rest are fetched.
+   * @param {Object} editor - silence editor state
+   */
+  async function loadPreviewSources(editor) {
+    const instances = await Storage.getInstances();
+    editor.sources = instances.map((instance) => ({
+      instance,
+      alerts: viewInstances.some((i) => i.id === instance.id)
+        ? currentAlerts.filter((a) => a._instances.some((i) => i.id === instance.id))
+        : null,
+      error: null,
+    }));
+
+    dom.silenceInstance.innerHTML = instances
+      .map((i) => `<option value="${Utils.escapeHtml(i.id)}"${i.id === editor.instance.id ? ' selected' : ''}>${Utils.escapeHtml(i.name)}</option>`)
+      .join('');
+    // Existing silences stay on the instance they were created on
+    dom.silenceInstanceSection.style.display = instances.length > 1 && !editor.id ? '' : 'none';
+    renderSilencePreview();
+
+    await Promise.all(
+      editor.sources
+        .filter((source) => !source.alerts)
+        .map(async (source) => {
+          try {
+            source.alerts = (await AlertmanagerAPI.getAlerts(source.instance)) || [];
+          } catch (err) {
+            source.error = err.message;
+          }
+        })
+    );
+    if (silenceEditor === editor) renderSilencePreview();
+  }
+
+  function getSilenceStart() {
+    return silenceEditor.startsAt ? new Date(silenceEditor.startsAt).getTime() : Date.now();
+  }
+
+  function updateSilenceEndsAt() {
+    const duration = Utils.parseDuration(dom.silenceDuration.value);
+    $$('[data-duration]', dom.silenceEditorOverlay).forEach((b) => {
+      b.classList.toggle('active', b.dataset.duration === dom.silenceDuration.value.trim());
+    });
+    if (!duration) {
+      dom.silenceEndsAt.textContent = 'Enter a duration such as 30m, 2h or 1d12h';
+      return;
+    }
+    const start = getSilenceStart();
+    const startText = silenceEditor.startsAt ? `Starts ${Utils.formatDate(silenceEditor.startsAt)} · ` : '';
+    dom.silenceEndsAt.textContent = `${startText}Ends ${Utils.formatDate(new Date(start + duration).toISOString())}`;
+  }
+
+  /**
+   * Open the silence editor.
+   * @param {Object} options
+   * @param {Object} options.instance - AlertmanagerInstance the silence is created on
+   * @param {Object} [options.silence] - existing silence to edit
+   * @param {Array} [options.matchers] - initial matchers for a new silence
+   * @param {string} [options.comment] - initial comment for a new silence
+   * @param {Object} [options.values] - labels filling template placeholders
+   * @param {Array} [options.group] - alerts of the group being silenced, checked in the preview
+   */
+  async function openSilenceEditor({ instance, silence = null, matchers = null, comment = '', values = {}, group = null }) {
+    const settings = await Storage.getSettings();
+    let startsAt = null;
+    let duration = DEFAULT_SILENCE_DURATION;
+
+    if (silence) {
+      const start = new Date(silence.startsAt).getTime();
+      // Keep the start of pending silences; active ones restart from now
+      if (start > Date.now()) startsAt = silence.startsAt;
+      const remaining = new Date(silence.endsAt).getTime() - Math.max(Date.now(), start);
+      if (remaining >= 60000) duration = Utils.formatDuration(Math.round(remaining / 60000) * 60000);
+    }
+
+    silenceEditor = {
+      instance,
+      id: silence?.id || null,
+      startsAt,
+      matchers: (silence?.matchers || matchers || [{ name: '', value: '' }]).map((m) => ({
+        name: m.name,
+        value: m.value,
+        isRegex: !!m.isRegex,
+        isEqual: m.isEqual !== false,
+        enabled: true,
+      })),
+      values,
+      group,
+      templates: silence ? [] : settings.silenceTemplates,
+      sources: [],
+    };
+
+    if (silence) dom.silenceEditorTitle.textContent = 'Edit Silence';
+    else if (group) dom.silenceEditorTitle.textContent = `Silence Group (${group.length} alert${group.length === 1 ? '' : 's'})`;
+    else dom.silenceEditorTitle.textContent = 'New Silence';
+    dom.silenceTemplateSection.style.display = silenceEditor.templates.length > 0 ? '' : 'none';
+    dom.silenceTemplate.innerHTML = '<option value="">None</option>' + silenceEditor.templates
+      .map((t) => `<option value="${Utils.escapeHtml(t.id)}">${Utils.escapeHtml(t.name)}</option>`)
+      .join('');
+    dom.silenceSubmitBtn.textContent = silence ? 'Update Silence' : 'Create Silence';
+    dom.silenceDuration.value = duration;
+    dom.silenceCreatedBy.value = silence?.createdBy || settings.silenceCreatedBy || '';
+    dom.silenceComment.value = silence?.comment || comment;
+    dom.silenceError.textContent = '';
+    renderMatcherRows();
+    updateSilenceEndsAt();
+    dom.silenceEditorOverlay.classList.add('show');
+    loadPreviewSources(silenceEditor);
+  }
+
+  /**
+   * Replace the editor's matchers, duration and comment with a template,
+   * filled with the labels of the alert or group being silenced.
+   */
+  function applySilenceTemplate() {
+    const template = silenceEditor.templates.find((t) => t.id === dom.silenceTemplate.value);
+    if (!template) return;
+
+    let filled;
+    try {
+      filled = Utils.applySilenceTemplate(template, silenceEditor.values);
+    } catch (err) {
+      dom.silenceError.textContent = `Template "${template.name}" has invalid matchers: ${err.message}`;
+      return;
+    }
+    silenceEditor.matchers = filled.matchers.map((m) => ({ ...m, enabled: true }));
+    dom.silenceDuration.value = filled.duration;
+    dom.silenceComment.value = filled.comment;
+    dom.silenceError.textContent = '';
+    renderMatcherRows();
+    updateSilenceEndsAt();
+    renderSilencePreview();
+  }
+
+  /**
+   * Open the silence editor for every alert in a group, matching the labels
+   * the group's alerts share.
+   * @param {string} key - group header key
+   */
+  async function silenceGroup(key) {
+    const alerts = renderedGroups.get(key);
+    if (!alerts || alerts.length === 0) return;
+    const values = Utils.commonLabels(alerts);
+    const matchers = Object.entries(values).map(([name, value]) => ({ name, value }));
+    await openSilenceEditor({
+      instance: alerts[0]._instances[0],
+      matchers: matchers.length > 0 ? matchers : null,
+      values,
+      group: alerts,
+    });
+  }
+
+  function closeSilenceEditor() {
+    dom.silenceEditorOverlay.classList.remove('show');
+    silenceEditor = null;
+  }
+
+  function matchesEverything(matchers) {
+    try {
+      // Alertmanager rejects silences whose matchers all match the empty string
+      return matchers.every((m) => Utils.matchesMatchers({}, [m]));
+    } catch {
+      return false;
+    }
+  }
+
+  function buildSilenceFromEditor() {
+    const matchers = silenceEditor.matchers
+      .filter((m) => m.enabled && (m.name.trim() || m.value))
+      .map((m) => ({ name: m.name.trim(), value: m.value, isRegex: m.isRegex, isEqual: m.isEqual }));
+
+    let error = '';
+    const duration = Utils.parseDuration(dom.silenceDuration.value);
+    const createdBy = dom.silenceCreatedBy.value.trim();
+    const comment = dom.silenceComment.value.trim();
+
+    if (matchers.length === 0) error = 'At least one matcher is required';
+    else if (matchers.some((m) => !m.name)) error = 'Every matcher needs a label name';
+    else if (matchesEverything(matchers)) error = 'At least one matcher must not match an empty value';
+    else if (!duration) error = 'Invalid duration (e.g. 30m, 2h, 1d12h)';
+    else if (!createdBy) error = 'Created by is required';
+    else if (!comment) error = 'Comment is required';
+    else {
+      const unfilled = Utils.findPlaceholders([...matchers.map((m) => m.value), comment].join('\n'));
+      if (unfilled.length > 0) error = `Replace the {{${unfilled[0]}}} placeholder`;
+    }
+
+    dom.silenceError.textContent = error;
+    if (error) return null;
+
+    const start = getSilenceStart();
+    const silence = {
+      matchers,
+      startsAt: new Date(start).toISOString(),
+      endsAt: new Date(start + duration).toISOString(),
+      createdBy,
+      comment,
+    };
+    if (silenceEditor.id) silence.id = silenceEditor.id;
+    return silence;
+  }
+
+  async function submitSilence() {
+    const silence = buildSilenceFromEditor();
+    if (!silence) return;
+
+    dom.silenceSubmitBtn.disabled = true;
+    try {
+      await AlertmanagerAPI.createSilence(silenceEditor.instance, silence);
+      const settings = await Storage.getSettings();
+      if (settings.silenceCreatedBy !== silence.createdBy) {
+        await Storage.saveSettings({ silenceCreatedBy: silence.createdBy });
+      }
+      closeSilenceEditor();
+      closeDetail();
+      await fetchData();
+    } catch (err) {
+      dom.silenceError.textContent = 'Failed to save silence: ' + err.message;
+    } finally {
+      dom.silenceSubmitBtn.disabled = false;
+    }
+  }
+
+  function formatTime(ms) {
+    return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+
+  function renderHistoryItem(episode) {
+    const sev = Utils.getSeverity(episode.labels?.severity);
+    const ongoing = episode.endsAt === null;
+    const duration = Utils.formatDuration(Math.round(((episode.endsAt ?? Date.now()) - episode.startsAt) / 60000) * 60000);
+    const transitions = episode.transitions
+      .map((t) => `<span class="tr-${t.state}">${t.state}</span> ${formatTime(t.at)}`)
+      .join(' → ');
+    const summary = Utils.escapeHtml(Utils.truncate(episode.annotations?.summary || '', 80));
+
+    return `<div class="history-item">
+      <div class="alert-sev-strip" style="background:${sev.color}"></div>
+      <div class="alert-body">
+        <div class="history-top">
+          <span class="alert-name">${Utils.escapeHtml(episode.labels?.alertname || 'Unknown')}</span>
+          <span class="instance-tag">${Utils.escapeHtml(episode.instanceName)}</span>
+          <span class="history-duration${ongoing ? ' ongoing' : ''}">${ongoing ? `firing ${duration}` : duration}</span>
         </div>
+        ${summary ? `<div class="alert-summary-text">${summary}</div>` : ''}
+        <div class="history-transitions">${transitions}</div>
+      </div>
+    </div>`;
+  }
+
+  async function populateHistoryInstances() {
+    const instances = await Storage.getInstances();
+    const selected = dom.historyInstance.value;
+    dom.historyInstance.innerHTML =
+      '<option value="">All instances</option>' +
+      instances
+        .map((i) => `<option value="${Utils.escapeHtml(i.id)}"${i.id === selected ? ' selected' : ''}>${Utils.escapeHtml(i.name)}</option>`)
+        .join('');
+  }
+
+  async function renderHistory() {
+    const since = Date.now() - Number(dom.historyRange.value) * 60 * 60 * 1000;
+    let episodes;
+    try {
+      episodes = await AlertHistory.getEpisodes({ since, instanceId: dom.historyInstance.value || undefined });
+    } catch (err) {
+      dom.historyList.innerHTML = renderError(err.message);
+      return;
+    }
+
+    episodes = Utils.searchAlerts(episodes, dom.historySearch.value);
+    const firing = episodes.filter((e) => e.endsAt === null).length;
+    dom.historySummary.innerHTML =
+      `<span>${episodes.length} episodes</span> · ` +
+      `<span style="color:var(--clr-critical)">${firing} ongoing</span> · ` +
+      `<span style="color:var(--clr-success)">${episodes.length - firing} resolved</span>`;
+
+    if (episodes.length === 0) {
+      dom.historyList.innerHTML = renderEmpty('🕘', 'No history', 'Alerts seen by the background poller will appear here.');
+      return;
+    }
+
+    let lastDay = '';
+    dom.historyList.innerHTML = episodes
+      .slice(0, HISTORY_RENDER_LIMIT)
+      .map((episode) => {
+        const day = new Date(episode.startsAt).toLocaleDateString();
+        const header = day !== lastDay ? `<div class="history-day">${Utils.escapeHtml(day)}</div>` : '';
+        lastDay = day;
+        return header + renderHistoryItem(episode);
+      })
+      .join('');
+  }
+
+  function renderInstanceConnection(instance, statusHtml) {
+    const url = AlertmanagerAPI.getAnsweringUrl(instance) || instance.url;
+    return `<div class="status-card">
+      <div class="status-card-title">Connection</div>
+      <div class="status-row"><span class="status-label">Instance</span><span class="status-value">${Utils.escapeHtml(instance.name)}</span></div>
+      <div class="status-row"><span class="status-label">URL</span><span class="status-value">${Utils.escapeHtml(url)}</span></div>
+      <div class="status-row"><span class="status-label">Status</span>${statusHtml}</div>
+    </div>`;
+  }
+
+  function renderPeerHealth(instance, probes) {
+    if (!instance.peerUrls?.length) return '';
+    const answering = AlertmanagerAPI.getAnsweringUrl(instance);
+    const rows = probes
+      .map((p) => {
+        const serving = p.url === answering ? ' <span class="peer-serving" title="Answered the last request">serving</span>' : '';
+        const health = p.ok
+          ? `<span class="status-value ok">Up · ${p.latencyMs}ms</span>`
+          : `<span class="status-value err" title="${Utils.escapeHtml(p.error)}">Down</span>`;
+        return `<div class="status-row"><span class="status-label peer-url">${Utils.escapeHtml(p.url)}${serving}</span>${health}</div>`;
+      })
+      .join('');
+    return `<div class="status-card">
+      <div class="status-card-title">Configured Peers</div>
+      ${rows}
+    </div>`;
+  }
+
+  function renderClusterMembers(status) {
+    const peers = status.cluster?.peers || [];
+    if (peers.length === 0) return '';
+    const rows = peers
+      .map((p) => `<div class="status-row"><span class="status-label">${Utils.escapeHtml(p.name)}</span><span class="status-value">${Utils.escapeHtml(p.address)}</span></div>`)
+      .join('');
+    return `<div class="status-card">
+      <div class="status-card-title">Cluster Members</div>
+      ${rows}
+    </div>`;
+  }
+
+  async function renderInstanceStatus(instance) {
+    const probesPromise = instance.peerUrls?.length ? AlertmanagerAPI.probePeers(instance) : Promise.resolve([]);
+    try {
+      const status = await AlertmanagerAPI.getStatus(instance);
+      const probes = await probesPromise;
+      return {
+        ok: true,
+        html: `
+        ${renderInstanceConnection(instance, '<span class="status-value ok">Connected</span>')}
+        ${renderPeerHealth(instance, probes)}
         <div class="status-card">
           <div class="status-card-title">Alertmanager Info</div>
           <div class="status-row"><span class="status-label">Version</span><span class="status-value">${Utils.escapeHtml(status.versionInfo?.version || 'N/A')}</span></div>
           <div class="status-row"><span class="status-label">Uptime</span><span class="status-value">${Utils.escapeHtml(status.uptime || 'N/A')}</span></div>
           <div class="status-row"><span class="status-label">Cluster Status</span><span class="status-value">${Utils.escapeHtml(status.cluster?.status || 'N/A')}</span></div>
           <div class="status-row"><span class="status-label">Peers</span><span class="status-value">${status.cluster?.peers?.length || 0}</span></div>
+          <button class="link-btn" data-routing-instance="${Utils.escapeHtml(instance.id)}">View routing tree →</button>
         </div>
-        <div class="status-card">
-          <div class="status-card-title">Alert Statistics</div>
-          <div class="status-row"><span class="status-label">Total Alerts</span><span class="status-value">${currentAlerts.length}</span></div>
-          <div class="status-row"><span class="status-label">Active</span><span class="status-value" style="color:var(--clr-critical)">${activeCount}</span></div>
-          <div class="status-row"><span class="status-label">Silenced</span><span class="status-value" style="color:var(--clr-warning)">${silencedCount}</span></div>
-          <div class="status-row"><span class="status-label">Active Silences</span><span class="status-value">${currentSilences.filter((s) => s.status?.state === 'active').length}</span></div>
-        </div>`;
+        ${renderClusterMembers(status)}`,
+      };
+    } catch (err) {
+      const probes = await probesPromise;
+      return {
+        ok: false,
+        html:
+          renderInstanceConnection(instance, `<span class="status-value err">Error: ${Utils.escapeHtml(err.message)}</span>`) +
+          renderPeerHealth(instance, probes),
+      };
+    }
+  }
+
+  async function renderStatus() {
+    if (viewInstances.length === 0) {
+      dom.statusContent.innerHTML = renderEmpty('⚙️', 'No instance configured', 'Go to Settings to add an Alertmanager instance.');
+      return;
+    }
+
+    const results = await Promise.all(viewInstances.map(renderInstanceStatus));
+    const activeCount = currentAlerts.filter((a) => a.status?.state === 'active').length;
+    const silencedCount = currentAlerts.filter((a) => (a.status?.silencedBy?.length || 0) > 0).length;
+
+    dom.statusContent.innerHTML =
+      results.map((r) => r.html).join('') +
+      `<div class="status-card">
+        <div class="status-card-title">Alert Statistics</div>
+        <div class="status-row"><span class="status-label">Total Alerts</span><span class="status-value">${currentAlerts.length}</span></div>
+        <div class="status-row"><span class="status-label">Active</span><span class="status-value" style="color:var(--clr-critical)">${activeCount}</span></div>
+        <div class="status-row"><span class="status-label">Silenced</span><span class="status-value" style="color:var(--clr-warning)">${silencedCount}</span></div>
+        <div class="status-row"><span class="status-label">Active Silences</span><span class="status-value">${currentSilences.filter((s) => s.status?.state === 'active').length}</span></div>
+      </div>`;
+
+    setConnection(results.every((r) => r.ok));
+  }
+
+  async function getViewInstances() {
+    const settings = await Storage.getSettings();
+    if (settings.showAllInstances) return settings.instances;
+    const active = settings.instances.find((i) => i.id === settings.activeInstanceId);
+    return active ? [active] : [];
+  }
+
+  /**
+   * Fetch alerts and silences of one instance, falling back to the cache.
+   * @param {Object} instance
+   * @returns {Promise<{instance: Object, alerts: Array, silences: Array, error: string|null, cached: boolean}>}
+   */
+  async function fetchInstanceData(instance) {
+    AlertmanagerAPI.setPreferredUrl(instance, await Storage.getLastGoodPeer(instance.id));
+    try {
+      const [alerts, silences] = await Promise.all([
+        AlertmanagerAPI.getAlerts(instance),
+        AlertmanagerAPI.getSilences(instance),
+      ]);
 
-      setConnection(true);
+      await Storage.cacheAlerts(instance.id, alerts || []);
+      await Storage.cacheSilences(instance.id, silences || []);
+      await Storage.setLastGoodPeer(instance.id, AlertmanagerAPI.getAnsweringUrl(instance));
+
+      return { instance, alerts: alerts || [], silences: silences || [], error: null, cached: false };
     } catch (err) {
-      dom.statusContent.innerHTML = `
-        <div class="status-card">
-          <div class="status-card-title">Connection</div>
-          <div class="status-row"><span class="status-label">Instance</span><span class="status-value">${Utils.escapeHtml(instance.name)}</span></div>
-          <div class="status-row"><span class="status-label">URL</span><span class="status-value">${Utils.escapeHtml(instance.url)}</span></div>
-          <div class="status-row"><span class="status-label">Status</span><span class="status-value err">Error: ${Utils.escapeHtml(err.message)}</span></div>
-        </div>`;
-      setConnection(false);
+      const cached = await Storage.getCachedAlerts(instance.id);
+      const cachedSilences = await Storage.getCachedSilences(instance.id);
+      return {
+        instance,
+        alerts: cached?.alerts || [],
+        silences: cachedSilences?.silences || [],
+        error: err.message,
+        cached: !!cached && cached.alerts.length > 0,
+      };
     }
   }
 
+  /**
+   * Merge items from several instances, de-duplicating by key and recording
+   * every instance that reported an item in `_instances`.
+   * @param {Array} results - fetchInstanceData results
+   * @param {string} field - 'alerts' or 'silences'
+   * @param {string} key - item property used for de-duplication
+   * @returns {Array}
+   */
+  function mergeInstanceItems(results, field, key) {
+    const merged = new Map();
+    results.forEach(({ instance, [field]: items }) => {
+      items.forEach((item) => {
+        const existing = merged.get(item[key]);
+        if (existing) {
+          existing._instances.push(instance);
+        } else {
+          merged.set(item[key], { ...item, _instances: [instance] });
+        }
+      });
+    });
+    return [...merged.values()];
+  }
+
   async function fetchData() {
-    const instance = await Storage.getActiveInstance();
-    if (!instance) {
+    viewInstances = await getViewInstances();
+    if (viewInstances.length === 0) {
       currentAlerts = [];
       currentSilences = [];
       setConnection(false);
@@ -343,36 +1913,30 @@
 
     showLoading(true);
     try {
-      const [alerts, silences] = await Promise.all([
-        AlertmanagerAPI.getAlerts(instance),
-        AlertmanagerAPI.getSilences(instance),
-      ]);
-
-      currentAlerts = alerts || [];
-      currentSilences = silences || [];
+      const results = await Promise.all(viewInstances.map(fetchInstanceData));
+      const failed = results.filter((r) => r.error);
 
-      await Storage.cacheAlerts(instance.id, currentAlerts);
-      await Storage.cacheSilences(instance.id, currentSilences);
+      currentAlerts = mergeInstanceItems(results, 'alerts', 'fingerprint');
+      currentSilences = mergeInstanceItems(results, 'silences', 'id');
+      labelStats = null;
+      routedGroups = null;
+      if (dom.groupBySelect.value === ROUTED_GROUPING) await fetchRoutedGroups();
+      await loadAcks();
 
-      setConnection(true);
-      renderAlertList();
+      setConnection(failed.length === 0);
       renderSilences();
-    } catch (err) {
-      setConnection(false);
-      const cached = await Storage.getCachedAlerts(instance.id);
-      if (cached && cached.alerts.length > 0) {
-        currentAlerts = cached.alerts;
-        renderAlertList();
-        dom.alertSummary.innerHTML += ` <span style="color:var(--clr-warning)">(cached)</span>`;
-      } else {
-        dom.alertList.innerHTML = renderError(err.message);
+
+      if (failed.length === results.length && !failed.some((r) => r.cached)) {
+        dom.alertList.innerHTML = renderError(failed[0].error);
         dom.alertSummary.innerHTML = '';
+        return;
       }
 
-      const cachedSilences = await Storage.getCachedSilences(instance.id);
-      if (cachedSilences) {
-        currentSilences = cachedSilences.silences;
-        renderSilences();
+      renderAlertList();
+      if (failed.length > 0) {
+        const names = failed.map((r) => r.instance.name).join(', ');
+        const label = viewInstances.length > 1 ? `cached: ${names}` : 'cached';
+        dom.alertSummary.innerHTML += ` <span style="color:var(--clr-warning)" title="${Utils.escapeHtml(failed.map((r) => `${r.instance.name}: ${r.error}`).join('\n'))}">(${Utils.escapeHtml(label)})</span>`;
       }
     } finally {
       showLoading(false);
@@ -389,14 +1953,58 @@
         $(`#${target}Tab`).classList.add('active');
 
         if (target === 'status') renderStatus();
+        if (target === 'history') renderHistory();
       });
     });
 
     dom.instanceSelector.addEventListener('change', async () => {
-      await Storage.setActiveInstance(dom.instanceSelector.value);
+      const value = dom.instanceSelector.value;
+      await saveInstanceSelection(value);
+
+      // Switch to the instance's default view, if it has one
+      const settings = await Storage.getSettings();
+      const defaultView = settings.savedViews.find((v) => v.id === settings.defaultViews[value]);
+      if (defaultView) {
+        currentViewId = defaultView.id;
+        await applyViewState(defaultView, false);
+      }
+      await populateViewSelector();
+      rememberView();
       fetchData();
     });
 
+    document.addEventListener('input', (e) => {
+      if (hasAutocomplete(e.target)) updateAutocomplete(e.target);
+    });
+    document.addEventListener('focusin', (e) => {
+      if (hasAutocomplete(e.target)) updateAutocomplete(e.target);
+    });
+    document.addEventListener('focusout', (e) => {
+      if (e.target === autocomplete.input) hideAutocomplete();
+    });
+    // Capture phase, so Escape closes the list before it closes an overlay
+    document.addEventListener('keydown', handleAutocompleteKey, true);
+    document.addEventListener('scroll', (e) => {
+      if (e.target !== dom.autocomplete) hideAutocomplete();
+    }, true);
+    dom.autocomplete.addEventListener('mousedown', (e) => {
+      const item = e.target.closest('li');
+      e.preventDefault(); // keep focus in the input
+      if (item) acceptSuggestion(Number(item.dataset.index));
+    });
+
+    dom.viewSelect.addEventListener('change', () => selectView(dom.viewSelect.value));
+    dom.saveViewBtn.addEventListener('click', openSaveView);
+    dom.viewSaveConfirmBtn.addEventListener('click', saveView);
+    dom.viewSaveCancelBtn.addEventListener('click', () => { dom.viewSaveRow.hidden = true; });
+    dom.viewNameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') saveView();
+      if (e.key === 'Escape') dom.viewSaveRow.hidden = true;
+    });
+    dom.defaultViewBtn.addEventListener('click', toggleDefaultView);
+    dom.deleteViewBtn.addEventListener('click', deleteView);
+    dom.deleteViewBtn.addEventListener('blur', resetDeleteViewBtn);
+
     dom.refreshBtn.addEventListener('click', () => {
       if (!isLoading) fetchData();
     });
@@ -405,34 +2013,70 @@
       chrome.runtime.openOptionsPage();
     });
 
+    dom.statusContent.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-routing-instance]');
+      if (!btn) return;
+      const url = chrome.runtime.getURL(`routing/routing.html?instance=${encodeURIComponent(btn.dataset.routingInstance)}`);
+      chrome.tabs.create({ url });
+    });
+
+    dom.dashboardBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('dashboard/dashboard.html') });
+    });
+
     const debouncedRender = Utils.debounce(() => renderAlertList(), 200);
-    dom.searchInput.addEventListener('input', debouncedRender);
+    dom.searchInput.addEventListener('input', () => {
+      onFiltersChanged();
+      debouncedRender();
+    });
 
-    [dom.filterActive, dom.filterSilenced, dom.filterInhibited].forEach((cb) => {
-      cb.addEventListener('change', () => renderAlertList());
+    [dom.filterActive, dom.filterSilenced, dom.filterInhibited, dom.filterAcked].forEach((cb) => {
+      cb.addEventListener('change', () => {
+        onFiltersChanged();
+        renderAlertList();
+      });
     });
 
     $$('.sev-btn').forEach((btn) => {
       btn.addEventListener('click', () => {
-        $$('.sev-btn').forEach((b) => b.classList.remove('active'));
-        btn.classList.add('active');
-        currentSeverityFilter = btn.dataset.severity;
+        setSeverityFilter(btn.dataset.severity);
+        onFiltersChanged();
         renderAlertList();
       });
     });
 
-    dom.groupBySelect.addEventListener('change', () => renderAlertList());
+    dom.groupBySelect.addEventListener('change', () => {
+      const custom = dom.groupBySelect.value === CUSTOM_GROUPING;
+      dom.groupByCustomRow.hidden = !custom;
+      if (custom) dom.groupByCustom.focus();
+      onFiltersChanged();
+      renderAlertList();
+    });
+    dom.groupByCustom.addEventListener('input', () => {
+      onFiltersChanged();
+      debouncedRender();
+    });
+
+    dom.historySearch.addEventListener('input', Utils.debounce(() => renderHistory(), 200));
+    dom.historyRange.addEventListener('change', () => renderHistory());
+    dom.historyInstance.addEventListener('change', () => renderHistory());
 
     dom.alertList.addEventListener('click', (e) => {
       const card = e.target.closest('.alert-card');
       if (card) {
-        showAlertDetail(card.dataset.fingerprint);
+        openDetail('alert', card.dataset.fingerprint);
+        return;
+      }
+
+      const groupSilenceBtn = e.target.closest('[data-action="silence-group"]');
+      if (groupSilenceBtn) {
+        silenceGroup(groupSilenceBtn.closest('.group-header').dataset.group);
         return;
       }
 
       const groupHeader = e.target.closest('.group-header');
       if (groupHeader) {
-        groupHeader.classList.toggle('collapsed');
+        toggleGroup(groupHeader);
       }
 
       const retryBtn = e.target.closest('#retryBtn');
@@ -442,12 +2086,113 @@
     });
 
     dom.detailBack.addEventListener('click', () => {
-      dom.detailOverlay.classList.remove('show');
+      detailStack.pop();
+      if (detailStack.length > 0) renderDetail();
+      else closeDetail();
+    });
+
+    dom.detailContent.addEventListener('click', async (e) => {
+      const alertLink = e.target.closest('[data-action="show-alert"]');
+      if (alertLink) {
+        openDetail('alert', alertLink.dataset.fingerprint);
+        return;
+      }
+
+      const silenceLink = e.target.closest('[data-action="show-silence"]');
+      if (silenceLink) {
+        openDetail('silence', silenceLink.dataset.silenceId);
+        return;
+      }
+
+      const silenceActionBtn = e.target.closest('[data-action="edit-silence"], [data-action="extend-silence"], [data-action="expire-silence"], [data-action="recreate-silence"]');
+      if (silenceActionBtn) {
+        await handleSilenceAction(silenceActionBtn, silenceActionBtn.closest('[data-silence-id]').dataset.silenceId);
+        return;
+      }
+
+      const ackBtn = e.target.closest('[data-action="ack-alert"], [data-action="snooze-alert"], [data-action="clear-ack"]');
+      if (ackBtn) {
+        const alert = currentAlerts.find((a) => a.fingerprint === ackBtn.dataset.fingerprint);
+        if (!alert) return;
+        const action = { 'ack-alert': 'ack', 'snooze-alert': 'snooze', 'clear-ack': 'clear' }[ackBtn.dataset.action];
+        await setAlertAck(alert, action, Number($('#snoozeMinutes', dom.detailContent)?.value));
+        return;
+      }
+
+      const silenceBtn = e.target.closest('[data-action="silence-alert"]');
+      if (silenceBtn) {
+        const alert = currentAlerts.find((a) => a.fingerprint === silenceBtn.dataset.fingerprint);
+        if (!alert) return;
+        const matchers = Object.entries(alert.labels || {}).map(([name, value]) => ({ name, value }));
+        await openSilenceEditor({ instance: alert._instances[0], matchers, values: alert.labels || {} });
+      }
+    });
+
+    dom.silenceSearch.addEventListener('input', Utils.debounce(() => renderSilences(), 200));
+    [dom.silenceFilterActive, dom.silenceFilterPending, dom.silenceFilterExpired, dom.silenceCreator].forEach((el) => {
+      el.addEventListener('change', () => renderSilences());
+    });
+
+    dom.newSilenceBtn.addEventListener('click', async () => {
+      if (viewInstances.length > 0) await openSilenceEditor({ instance: viewInstances[0] });
+    });
+
+    dom.silenceList.addEventListener('click', (e) => {
+      const card = e.target.closest('.silence-card');
+      if (!card) return;
+      const btn = e.target.closest('[data-action]');
+      if (btn) handleSilenceAction(btn, card.dataset.silenceId);
+      else openDetail('silence', card.dataset.silenceId);
+    });
+
+    dom.silenceEditorBack.addEventListener('click', closeSilenceEditor);
+    dom.silenceTemplate.addEventListener('change', applySilenceTemplate);
+    dom.silenceSubmitBtn.addEventListener('click', submitSilence);
+    dom.silenceMatchers.addEventListener('input', updateMatcherFromRow);
+    dom.silenceMatchers.addEventListener('change', updateMatcherFromRow);
+
+    dom.silenceMatchers.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action]');
+      if (!btn) return;
+      const index = Number(btn.closest('.matcher-row').dataset.index);
+      if (btn.dataset.action === 'remove-matcher') {
+        silenceEditor.matchers.splice(index, 1);
+      } else if (btn.dataset.action === 'regex-matcher') {
+        const matcher = silenceEditor.matchers[index];
+        matcher.value = Utils.escapeRegex(matcher.value);
+        matcher.isRegex = true;
+      }
+      renderMatcherRows();
+      renderSilencePreview();
+    });
+
+    dom.addMatcherBtn.addEventListener('click', () => {
+      silenceEditor.matchers.push({ name: '', value: '', isRegex: false, isEqual: true, enabled: true });
+      renderMatcherRows();
+      $('.matcher-row:last-child .matcher-name', dom.silenceMatchers)?.focus();
+    });
+
+    dom.silenceDuration.addEventListener('input', updateSilenceEndsAt);
+    dom.silenceInstance.addEventListener('change', () => {
+      const source = silenceEditor.sources.find((src) => src.instance.id === dom.silenceInstance.value);
+      if (source) silenceEditor.instance = source.instance;
+      renderSilencePreview();
+    });
+    $$('[data-duration]', dom.silenceEditorOverlay).forEach((btn) => {
+      btn.addEventListener('click', () => {
+        dom.silenceDuration.value = btn.dataset.duration;
+        updateSilenceEndsAt();
+      });
     });
   }
 
   async function init() {
     await populateInstanceSelector();
+    await populateHistoryInstances();
+    await renderQuietIndicator();
+    silenceExpiryMinutes = (await Storage.getSettings()).silenceExpiryMinutes;
+    collapsedGroups = new Set(await Storage.getCollapsedGroups());
+    await restoreLastView();
     bindEvents();
     await fetchData();
   }
@@ -0,0 +1,196 @@
+(function () {
+  'use strict';
+
+  const $ = (sel) => document.querySelector(sel);
+  const $$ = (sel) => [...document.querySelectorAll(sel)];
+
+  const dom = {
+    instanceSelect: $('#instanceSelect'),
+    reloadBtn: $('#reloadBtn'),
+    testLabels: $('#testLabels'),
+    clearTestBtn: $('#clearTestBtn'),
+    testError: $('#testError'),
+    testResult: $('#testResult'),
+    routeTree: $('#routeTree'),
+    expandAllBtn: $('#expandAllBtn'),
+    collapseAllBtn: $('#collapseAllBtn'),
+  };
+
+  let routeTree = null;
+
+  function renderTags(items, className) {
+    return items.map((text) => `<span class="${className}">${Utils.escapeHtml(text)}</span>`).join('');
+  }
+
+  function renderDetail(node, field, label, value) {
+    const inherited = node.inherited.includes(field);
+    return `<div class="route-detail${inherited ? ' inherited' : ''}" ${inherited ? 'title="Inherited from the parent route"' : ''}>
+      <span>${label}</span><span>${Utils.escapeHtml(value)}</span>
+    </div>`;
+  }
+
+  function renderRoute(node) {
+    const isRoot = node.depth === 0;
+    const isLeaf = node.routes.length === 0;
+    const matchers = node.matchers.length > 0
+      ? renderTags(node.matchers.map((m) => Utils.formatMatcher(m)), 'matcher-tag')
+      : `<span class="catch-all">${isRoot ? 'root route' : 'matches everything'}</span>`;
+    const groupBy = node.groupBy.includes('...') ? 'all labels' : node.groupBy.join(', ') || '—';
+    const intervals = [
+      node.muteTimeIntervals.length > 0 ? `<div class="route-detail"><span>muted during</span><span>${Utils.escapeHtml(node.muteTimeIntervals.join(', '))}</span></div>` : '',
+      node.activeTimeIntervals.length > 0 ? `<div class="route-detail"><span>active during</span><span>${Utils.escapeHtml(node.activeTimeIntervals.join(', '))}</span></div>` : '',
+    ].join('');
+
+    return `<details class="route${isRoot ? ' route-root' : ''}${isLeaf ? ' leaf' : ''}" data-path="${node.path}" open>
+      <summary>
+        <span class="receiver">${Utils.escapeHtml(node.receiver || '(no receiver)')}</span>
+        ${matchers}
+        ${node.continue ? '<span class="badge" title="Later sibling routes are evaluated too">continue</span>' : ''}
+      </summary>
+      <div class="route-details">
+        ${renderDetail(node, 'groupBy', 'group_by', groupBy)}
+        ${renderDetail(node, 'groupWait', 'group_wait', node.groupWait)}
+        ${renderDetail(node, 'groupInterval', 'group_interval', node.groupInterval)}
+        ${renderDetail(node, 'repeatInterval', 'repeat_interval', node.repeatInterval)}
+        ${intervals}
+      </div>
+      ${node.routes.map(renderRoute).join('')}
+    </details>`;
+  }
+
+  /**
+   * Read the test box as a label set. Only equality matchers make sense here.
+   * @param {string} text
+   * @returns {Object}
+   * @throws {SyntaxError}
+   */
+  function parseTestLabels(text) {
+    const labels = {};
+    Utils.parseMatchers(text).forEach((m) => {
+      if (m.isRegex || !m.isEqual) {
+        throw new SyntaxError(`Use label="value" pairs to test routing (got ${Utils.formatMatcher(m)})`);
+      }
+      labels[m.name] = m.value;
+    });
+    return labels;
+  }
+
+  function clearHighlights() {
+    $$('.route.matched, .route.on-path').forEach((el) => el.classList.remove('matched', 'on-path'));
+  }
+
+  function runTest() {
+    clearHighlights();
+    dom.testError.textContent = '';
+    dom.testLabels.classList.remove('invalid');
+    dom.testResult.innerHTML = '';
+    if (!routeTree || !dom.testLabels.value.trim()) return;
+
+    let labels;
+    try {
+      labels = parseTestLabels(dom.testLabels.value);
+    } catch (err) {
+      dom.testError.textContent = err.message;
+      dom.testLabels.classList.add('invalid');
+      return;
+    }
+
+    let matched;
+    try {
+      matched = AlertmanagerConfig.matchRoutes(routeTree, labels);
+    } catch (err) {
+      dom.testError.textContent = `A route has an invalid matcher: ${err.message}`;
+      return;
+    }
+
+    matched.forEach((node) => {
+      // Open and mark every route on the way down to the match
+      const parts = node.path.split('.');
+      parts.forEach((_, i) => {
+        const el = $(`.route[data-path="${parts.slice(0, i + 1).join('.')}"]`);
+        el.open = true;
+        el.classList.add('on-path');
+      });
+      $(`.route[data-path="${node.path}"]`).classList.add('matched');
+    });
+
+    dom.testResult.innerHTML = matched
+      .map((node) => {
+        const groupLabels = Object.entries(AlertmanagerConfig.groupLabels(node, labels)).map(([k, v]) => `${k}=${v}`);
+        return `<div class="test-match">
+          → <a href="#" data-goto="${node.path}">${Utils.escapeHtml(node.receiver || '(no receiver)')}</a>
+          <span>grouped by</span>
+          ${groupLabels.length > 0 ? renderTags(groupLabels, 'label-tag') : '<span class="catch-all">no labels (single group)</span>'}
+        </div>`;
+      })
+      .join('');
+  }
+
+  async function loadConfig() {
+    const instances = await Storage.getInstances();
+    const instance = instances.find((i) => i.id === dom.instanceSelect.value);
+    routeTree = null;
+    if (!instance) {
+      dom.routeTree.innerHTML = '<div class="empty">No Alertmanager instance configured.</div>';
+      return;
+    }
+
+    dom.routeTree.innerHTML = '<div class="empty">Loading configuration…</div>';
+    try {
+      AlertmanagerAPI.setPreferredUrl(instance, await Storage.getLastGoodPeer(instance.id));
+      const status = await AlertmanagerAPI.getStatus(instance);
+      if (!status.config?.original) throw new Error('Alertmanager did not return its configuration');
+      routeTree = AlertmanagerConfig.buildRouteTree(AlertmanagerConfig.parse(status.config.original));
+    } catch (err) {
+      dom.routeTree.innerHTML = `<div class="error">Failed to load routing tree: ${Utils.escapeHtml(err.message)}</div>`;
+      return;
+    }
+
+    dom.routeTree.innerHTML = renderRoute(routeTree);
+    runTest();
+  }
+
+  async function populateInstances() {
+    const settings = await Storage.getSettings();
+    const requested = new URLSearchParams(location.search).get('instance');
+    dom.instanceSelect.innerHTML = settings.instances
+      .map((i) => `<option value="${Utils.escapeHtml(i.id)}">${Utils.escapeHtml(i.name)}</option>`)
+      .join('');
+    const selected = settings.instances.find((i) => i.id === requested) || settings.instances.find((i) => i.id === settings.activeInstanceId);
+    if (selected) dom.instanceSelect.value = selected.id;
+  }
+
+  function bindEvents() {
+    dom.instanceSelect.addEventListener('change', loadConfig);
+    dom.reloadBtn.addEventListener('click', loadConfig);
+    dom.testLabels.addEventListener('input', Utils.debounce(runTest, 300));
+    dom.clearTestBtn.addEventListener('click', () => {
+      dom.testLabels.value = '';
+      runTest();
+    });
+    dom.expandAllBtn.addEventListener('click', () => $$('.route').forEach((el) => { el.open = true; }));
+    dom.collapseAllBtn.addEventListener('click', () => $$('.route:not(.route-root)').forEach((el) => { el.open = false; }));
+
+    dom.testResult.addEventListener('click', (e) => {
+      const link = e.target.closest('[data-goto]');
+      if (!link) return;
+      e.preventDefault();
+      const route = $(`.route[data-path="${link.dataset.goto}"]`);
+      route.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      route.classList.add('flash');
+      setTimeout(() => route.classList.remove('flash'), 1500);
+    });
+  }
+
+  async function init() {
+    await populateInstances();
+    bindEvents();
+    await loadConfig();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();